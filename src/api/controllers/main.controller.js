@@ -8,13 +8,22 @@ import {
   changePasswordSchema,
   createConversationSchema,
   updateNameSchema,
-  addMembersSchema
+  addMembersSchema,
+  updatePrivacySchema,
+  updateSlowModeSchema,
+  markReadSchema,
+  searchMessagesSchema,
+  searchConversationSchema,
+  messageContextSchema
 } from '../validations/main.validation.js';
 
 import {
   userService,
   conversationService,
-  contactService
+  messageService,
+  contactService,
+  searchService,
+  syncService
 } from '../services/main/index.js';
 
 /******* user actions *******/
@@ -32,8 +41,16 @@ import {
 const current = [
   isAuthExpress,
   async (req, res, next) => {
-    const { userId, googleId, facebookId, username, email, image, createdAt } =
-      req.user;
+    const {
+      userId,
+      googleId,
+      facebookId,
+      username,
+      email,
+      image,
+      presencePrivacy,
+      createdAt
+    } = req.user;
     res.status(200).json({
       curentUser: {
         userId,
@@ -42,6 +59,7 @@ const current = [
         username,
         email,
         image,
+        presencePrivacy,
         createdAt
       }
     });
@@ -180,6 +198,85 @@ const deleteUser = [
   }
 ];
 
+/**
+ * Route handler for updating who can see the user's online status and last seen.
+ *
+ * This route expects a PATCH request with the following parameters in the request body:
+ * - presencePrivacy: The new privacy setting ('everyone', 'contacts' or 'nobody').
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Validates the request body against the updatePrivacySchema.
+ * 3. Updates the user's privacy setting using the setPresencePrivacy function.
+ * 4. If an error occurs during the process, it is passed to the error handling middleware.
+ * 5. If the update is successful, an empty response is sent with the appropriate status code.
+ */
+const changePrivacy = [
+  isAuthExpress,
+  validation(updatePrivacySchema),
+  async (req, res, next) => {
+    const { status, error } = await userService.setPresencePrivacy(
+      req.user.userId,
+      req.body.presencePrivacy
+    );
+
+    if (error) return next(error);
+
+    res.status(status).json();
+  }
+];
+
+/**
+ * Route handler for fetching the changes missed by the device while it was offline.
+ *
+ * This route expects a GET request with the following parameters in the request query:
+ * - cursor: (Optional) The cursor of the last change received by the device.
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Calls the fetchChanges function to fetch the changes recorded since the cursor.
+ * 3. If an error occurs during the process, it is passed to the error handling middleware.
+ * 4. If the fetching is successful, the changes, the next cursor and whether a full resync is required are sent in the response.
+ */
+const sync = [
+  isAuthExpress,
+  async (req, res, next) => {
+    const { status, items, cursor, hasNextPage, fullResync, error } =
+      await syncService.fetchChanges(req.user.userId, req.query.cursor);
+
+    if (error) return next(error);
+
+    res.status(status).json({ items, cursor, hasNextPage, fullResync });
+  }
+];
+
+/**
+ * Route handler for fetching the messages starred by the user across all the conversations.
+ *
+ * This route expects a GET request with the following parameters in the request query:
+ * - cursor: (Optional) The cursor of the next page, returned with the previous page.
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Calls the fetchStarredMessages function to fetch a page of the starred messages.
+ * 3. If an error occurs during the process, it is passed to the error handling middleware.
+ * 4. If the fetching is successful, the starred messages with their conversation and the cursor of the next page are sent in the response.
+ */
+const getStarredMessages = [
+  isAuthExpress,
+  async (req, res, next) => {
+    const { status, items, nextCursor, error } =
+      await messageService.fetchStarredMessages(
+        req.user.userId,
+        req.query.cursor
+      );
+
+    if (error) return next(error);
+
+    res.status(status).json({ items, nextCursor });
+  }
+];
+
 /******* conversation actions *******/
 
 /**
@@ -225,26 +322,27 @@ const createConversation = [
 /**
  * Route handler for fetching conversations.
  *
- * This route expects a GET request.
+ * This route expects a GET request with the following parameters in the request query:
+ * - cursor: (Optional) The cursor of the next page, returned with the previous page.
  *
  * This route performs the following steps:
  * 1. Authenticates the user using the isAuthExpress middleware.
- * 2. Fetches conversations associated with the user using the fetchConversations function.
+ * 2. Fetches a page of the conversations of the user using the fetchConversations function.
  * 3. If an error occurs during the process, it is passed to the error handling middleware.
- * 4. If the conversation fetching is successful, the fetched conversations are sent in the response.
+ * 4. If the conversation fetching is successful, the fetched conversations and the cursor of the next page (if available) are sent in the response.
  */
 const getConversations = [
   isAuthExpress,
   async (req, res, next) => {
-    const { status, conversations, groupedMessages, error } =
+    const { status, conversations, groupedMessages, nextCursor, error } =
       await conversationService.fetchConversations(
-        req.user.conversationIds,
-        req.user.userId
+        req.user.userId,
+        req.query.cursor
       );
 
     if (error) return next(error);
 
-    res.status(status).json({ conversations, groupedMessages });
+    res.status(status).json({ conversations, groupedMessages, nextCursor });
   }
 ];
 
@@ -278,41 +376,308 @@ const getConversation = [
 ];
 
 /**
- * Route handler for fetching the next batch of messages in a conversation for pagination.
+ * Route handler for fetching a window of messages in a conversation, paginated by sequence number.
  *
  * This route expects a GET request with the following parameters in the request query:
  * - conversationId: The conversation to fetch the messages from.
- * - page: The number of rows to skip.
- * - joinedAt: To filter only the messages after the date the user joined the conversation.
+ * - beforeSequence: (Optional) Fetch the messages before this sequence number (older messages).
+ * - afterSequence: (Optional) Fetch the messages after this sequence number (newer messages, e.g. to fill a gap).
+ * - aroundMessageId: (Optional) Fetch the messages around this message (e.g. to jump to a search result or a replied message).
+ * Without any of them, the newest messages are fetched.
  *
  * This route performs the following steps:
  * 1. Authenticates the user using the isAuthExpress middleware.
- * 2. Parses the request query to extract the conversationId, page, and joinedAt parameters.
- * 3. Calls the fetchMessages function to fetch messages for the specified conversation and page.
+ * 2. Parses the request query to extract the conversationId, beforeSequence, afterSequence and aroundMessageId parameters.
+ * 3. Calls the fetchMessages function to fetch the window of messages of the specified conversation.
  * 4. If an error occurs during the process, it is passed to the error handling middleware.
- * 5. If the message fetching is successful, the fetched items (messages) and information about
- *    the next page (if available) are sent in the response.
+ * 5. If the message fetching is successful, the fetched items (messages, newest first) and the cursors to fetch
+ *    the older and newer messages (null if there are none) are sent in the response.
  */
 const getMessages = [
   isAuthExpress,
   async (req, res, next) => {
-    let { conversationId, page, joinedAt } = req.query;
+    let { conversationId, beforeSequence, afterSequence, aroundMessageId } =
+      req.query;
 
-    page = parseInt(page);
+    beforeSequence = parseInt(beforeSequence);
+    if (isNaN(beforeSequence)) beforeSequence = undefined;
+    afterSequence = parseInt(afterSequence);
+    if (isNaN(afterSequence)) afterSequence = undefined;
 
-    const { status, hasNextPage, items, error } =
-      await conversationService.fetchMessages(
+    const { status, hasOlder, hasNewer, items, error } =
+      await conversationService.fetchMessages(conversationId, req.user.userId, {
+        beforeSequence,
+        afterSequence,
+        aroundMessageId
+      });
+
+    if (error) return next(error);
+
+    // The client continues from the sequence of the oldest or newest message of the window
+    res.status(status).json({
+      items,
+      olderCursor: hasOlder ? items[items.length - 1].sequence : null,
+      newerCursor: hasNewer ? items[0].sequence : null
+    });
+  }
+];
+
+/**
+ * Route handler for fetching the messages around a message, to jump to it (e.g. from a search result).
+ *
+ * This route expects a GET request with the following parameters:
+ * - conversationId: (params) The ID of the conversation the message belongs to.
+ * - messageId: (params) The ID of the message to fetch the messages around.
+ * - before: (query, optional) The number of messages to fetch before the message (defaults to 10).
+ * - after: (query, optional) The number of messages to fetch after the message (defaults to 10).
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Validates the request query against the messageContextSchema.
+ * 3. Calls the fetchMessages function to fetch the message with the messages before and after it.
+ * 4. If an error occurs during the process, it is passed to the error handling middleware.
+ * 5. If the fetching is successful, the fetched items (messages, newest first) and the cursors to continue
+ *    loading the older and newer messages (null if there are none) are sent in the response.
+ */
+const getMessageContext = [
+  isAuthExpress,
+  validation(messageContextSchema, 'query'),
+  async (req, res, next) => {
+    const { conversationId, messageId } = req.params;
+    const { before, after } = req.query;
+
+    const { status, hasOlder, hasNewer, items, error } =
+      await conversationService.fetchMessages(conversationId, req.user.userId, {
+        aroundMessageId: messageId,
+        before,
+        after
+      });
+
+    if (error) return next(error);
+
+    res.status(status).json({
+      items,
+      olderCursor: hasOlder ? items[items.length - 1].sequence : null,
+      newerCursor: hasNewer ? items[0].sequence : null
+    });
+  }
+];
+
+/**
+ * Route handler for searching the messages of a conversation.
+ *
+ * This route expects a GET request with the following parameters:
+ * - conversationId: (params) The ID of the conversation to search.
+ * - q: (query) The search terms.
+ * - cursor: (query, optional) The cursor of the next page, returned with the previous page.
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Validates the request query against the searchConversationSchema.
+ * 3. Calls the searchConversationMessages function to search the messages of the conversation.
+ * 4. If an error occurs during the process, it is passed to the error handling middleware.
+ * 5. If the search is successful, the matching messages with their positions, the total number of matches
+ *    and the cursor of the next page are sent in the response.
+ */
+const searchConversationMessages = [
+  isAuthExpress,
+  validation(searchConversationSchema, 'query'),
+  async (req, res, next) => {
+    const { q, cursor } = req.query;
+
+    const { status, items, total, nextCursor, error } =
+      await searchService.searchConversationMessages(
+        req.params.conversationId,
+        req.user.userId,
+        q,
+        cursor
+      );
+
+    if (error) return next(error);
+
+    res.status(status).json({ items, total, nextCursor });
+  }
+];
+
+/**
+ * Route handler for fetching the replies to a message as a thread.
+ *
+ * This route expects a GET request with the following parameters in the request params:
+ * - conversationId: The ID of the conversation the message belongs to.
+ * - messageId: The ID of the message to fetch the replies of.
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Calls the fetchReplies function to fetch the message and its replies.
+ * 3. If an error occurs during the process, it is passed to the error handling middleware.
+ * 4. If the fetching is successful, the message and its replies are sent in the response.
+ */
+const getReplies = [
+  isAuthExpress,
+  async (req, res, next) => {
+    const { conversationId, messageId } = req.params;
+
+    const { status, message, items, error } = await messageService.fetchReplies(
+      conversationId,
+      req.user.userId,
+      messageId
+    );
+
+    if (error) return next(error);
+
+    res.status(status).json({ message, items });
+  }
+];
+
+/**
+ * Route handler for fetching the users that reacted to a message.
+ *
+ * This route expects a GET request with the following parameters in the request params:
+ * - conversationId: The ID of the conversation the message belongs to.
+ * - messageId: The ID of the message to fetch the reactions of.
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Calls the fetchReactions function to fetch the reactions grouped by emoji.
+ * 3. If an error occurs during the process, it is passed to the error handling middleware.
+ * 4. If the fetching is successful, the grouped reactions are sent in the response.
+ */
+const getReactions = [
+  isAuthExpress,
+  async (req, res, next) => {
+    const { conversationId, messageId } = req.params;
+
+    const { status, reactions, error } = await messageService.fetchReactions(
+      conversationId,
+      req.user.userId,
+      messageId
+    );
+
+    if (error) return next(error);
+
+    res.status(status).json({ reactions });
+  }
+];
+
+/**
+ * Route handler for fetching the edit history of a message.
+ *
+ * This route expects a GET request with the following parameters in the request params:
+ * - conversationId: The ID of the conversation the message belongs to.
+ * - messageId: The ID of the message to fetch the previous versions of.
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Calls the fetchRevisions function to fetch the message and its previous versions.
+ * 3. If an error occurs during the process, it is passed to the error handling middleware.
+ * 4. If the fetching is successful, the message and its previous versions are sent in the response.
+ */
+const getRevisions = [
+  isAuthExpress,
+  async (req, res, next) => {
+    const { conversationId, messageId } = req.params;
+
+    const { status, message, items, error } =
+      await messageService.fetchRevisions(
+        conversationId,
+        req.user.userId,
+        messageId
+      );
+
+    if (error) return next(error);
+
+    res.status(status).json({ message, items });
+  }
+];
+
+/**
+ * Route handler for fetching the receipts (delivery and seen dates of each recipient) of a message.
+ *
+ * This route expects a GET request with the following parameters in the request params:
+ * - conversationId: The ID of the conversation the message belongs to.
+ * - messageId: The ID of the message to fetch the receipts of.
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Calls the fetchReceipts function to fetch the receipts, which is only allowed for the sender and the group admins.
+ * 3. If an error occurs during the process, it is passed to the error handling middleware.
+ * 4. If the fetching is successful, the receipts and the delivery and seen counts are sent in the response.
+ */
+const getReceipts = [
+  isAuthExpress,
+  async (req, res, next) => {
+    const { conversationId, messageId } = req.params;
+
+    const { status, items, deliverCount, seenCount, error } =
+      await messageService.fetchReceipts(
         conversationId,
         req.user.userId,
-        page,
-        joinedAt
+        messageId
       );
 
     if (error) return next(error);
 
-    res
-      .status(status)
-      .json({ items, nextPage: hasNextPage ? page + 20 : null });
+    res.status(status).json({ items, deliverCount, seenCount });
+  }
+];
+
+/**
+ * Route handler for starring a message.
+ *
+ * This route expects a PUT request with the following parameters in the request params:
+ * - conversationId: The ID of the conversation the message belongs to.
+ * - messageId: The ID of the message to star.
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Calls the setStar function to star the message and notify the other devices of the user.
+ * 3. If an error occurs during the process, it is passed to the error handling middleware.
+ * 4. If the message is starred, the star is sent in the response.
+ */
+const starMessage = [
+  isAuthExpress,
+  async (req, res, next) => {
+    const { conversationId, messageId } = req.params;
+
+    const { status, star, error } = await messageService.setStar(
+      conversationId,
+      req.user.userId,
+      messageId
+    );
+
+    if (error) return next(error);
+
+    res.status(status).json({ star });
+  }
+];
+
+/**
+ * Route handler for unstarring a message.
+ *
+ * This route expects a DELETE request with the following parameters in the request params:
+ * - conversationId: The ID of the conversation the message belongs to.
+ * - messageId: The ID of the message to unstar.
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Calls the removeStar function to unstar the message and notify the other devices of the user.
+ * 3. If an error occurs during the process, it is passed to the error handling middleware.
+ * 4. If the message is unstarred, an appropriate response is sent with the corresponding status code.
+ */
+const unstarMessage = [
+  isAuthExpress,
+  async (req, res, next) => {
+    const { conversationId, messageId } = req.params;
+
+    const { status, error } = await messageService.removeStar(
+      conversationId,
+      req.user.userId,
+      messageId
+    );
+
+    if (error) return next(error);
+
+    res.status(status).json();
   }
 ];
 
@@ -477,6 +842,96 @@ const updateAdminStatus = [
   }
 ];
 
+/**
+ * Route handler for setting the slow mode of a group conversation.
+ *
+ * This route expects a PATCH request with the following parameters in the request body:
+ * - conversationId: The ID of the group conversation.
+ * - slowModeInterval: The number of seconds a member has to wait between two messages (0 to turn slow mode off).
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Validates the request body against the updateSlowModeSchema.
+ * 3. Calls the setSlowMode function to update the slow mode of the group, which is only allowed for its admins.
+ * 4. If an error occurs during the process, it is passed to the error handling middleware.
+ * 5. If the update is successful, an empty response is sent with the appropriate status code.
+ */
+const updateSlowMode = [
+  isAuthExpress,
+  validation(updateSlowModeSchema),
+  async (req, res, next) => {
+    const { conversationId, slowModeInterval } = req.body;
+
+    const { status, error } = await conversationService.setSlowMode(
+      conversationId,
+      req.user.userId,
+      slowModeInterval
+    );
+
+    if (error) return next(error);
+
+    res.status(status).json();
+  }
+];
+
+/**
+ * Route handler for marking a conversation as read.
+ *
+ * This route expects a PUT request with the following parameters:
+ * - conversationId: (params) The ID of the conversation to mark as read.
+ * - messageId: (body, optional) The ID of the message to mark the conversation as read up to, defaults to the last message.
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Validates the request body against the markReadSchema.
+ * 3. Calls the setConversationRead function to mark the messages as seen and notify their senders.
+ * 4. If an error occurs during the process, it is passed to the error handling middleware.
+ * 5. If the update is successful, the updated read state of the conversation is sent in the response.
+ */
+const markRead = [
+  isAuthExpress,
+  validation(markReadSchema),
+  async (req, res, next) => {
+    const { status, readState, error } =
+      await conversationService.setConversationRead(
+        req.params.conversationId,
+        req.user.userId,
+        req.body.messageId
+      );
+
+    if (error) return next(error);
+
+    res.status(status).json({ readState });
+  }
+];
+
+/**
+ * Route handler for marking a conversation as unread.
+ *
+ * This route expects a PUT request with the following parameters in the request params:
+ * - conversationId: The ID of the conversation to mark as unread.
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Calls the setConversationUnread function to flag the conversation as unread until it is read again.
+ * 3. If an error occurs during the process, it is passed to the error handling middleware.
+ * 4. If the update is successful, the updated read state of the conversation is sent in the response.
+ */
+const markUnread = [
+  isAuthExpress,
+  async (req, res, next) => {
+    const { status, readState, error } =
+      await conversationService.setConversationUnread(
+        req.params.conversationId,
+        req.user.userId
+      );
+
+    if (error) return next(error);
+
+    res.status(status).json({ readState });
+  }
+];
+
 /**
  * Route handler for deleting a conversation.
  *
@@ -602,6 +1057,36 @@ const search = [
   }
 ];
 
+/**
+ * Route handler for searching the content of the messages of the user's conversations.
+ *
+ * This route expects a GET request with the following parameters in the request query:
+ * - q: The search terms (quoted phrases, OR and - to exclude a word are supported).
+ * - conversationId, senderId, from, to, hasAttachment: (Optional) The filters of the search.
+ * - cursor: (Optional) The cursor of the next page, returned with the previous page.
+ *
+ * This route performs the following steps:
+ * 1. Authenticates the user using the isAuthExpress middleware.
+ * 2. Validates the request query against the searchMessagesSchema.
+ * 3. Calls the searchMessages function to search the messages (in pages of 20, the newest first).
+ * 4. If an error occurs during the process, it is passed to the error handling middleware.
+ * 5. If the search is successful, the matching messages with their highlighted snippets and the cursor of the next page are sent in the response.
+ */
+const searchMessages = [
+  isAuthExpress,
+  validation(searchMessagesSchema, 'query'),
+  async (req, res, next) => {
+    const { q, cursor, ...filters } = req.query;
+
+    const { status, items, nextCursor, error } =
+      await searchService.searchMessages(req.user.userId, q, filters, cursor);
+
+    if (error) return next(error);
+
+    res.status(status).json({ items, nextCursor });
+  }
+];
+
 /**
  * Route handler for adding a contact.
  *
@@ -664,20 +1149,35 @@ export default {
   edit,
   changeAvatar,
   changePassword,
+  changePrivacy,
+  sync,
+  getStarredMessages,
   deleteUser,
   createConversation,
   getConversations,
   getConversation,
   getMessages,
+  getMessageContext,
+  searchConversationMessages,
+  getReplies,
+  getReactions,
+  getRevisions,
+  getReceipts,
+  starMessage,
+  unstarMessage,
   uploadImage,
   updateName,
   addMembers,
   deleteMember,
   updateAdminStatus,
+  updateSlowMode,
+  markRead,
+  markUnread,
   deleteConversation,
   removeConversation,
   getContacts,
   search,
+  searchMessages,
   addContact,
   deleteContact
 };
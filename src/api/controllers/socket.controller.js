@@ -1,102 +1,214 @@
+import { randomUUID } from 'crypto';
 import { io } from '../../app.js';
 import { redisClient } from '../../lib/redis-client.js';
 import db from '../models/index.js';
-import { Op } from 'sequelize';
-import errorsJson from '../../config/errors.json' assert { type: 'json' };
+import { Op, UniqueConstraintError } from 'sequelize';
 import { uploader } from '../../lib/uploader.js';
+import { formatAckError } from '../middlewares/error.middleware.js';
+import {
+  releaseSlowMode,
+  slowModeLimiter
+} from '../middlewares/rate-limit.middleware.js';
+import { fetchUserData } from '../services/auth/serialization.service.js';
+import { fetchChanges } from '../services/main/sync.service.js';
+import { setConversationRead } from '../services/main/conversation.service.js';
+import { removeStar, setStar } from '../services/main/message.service.js';
+import {
+  addOnlineDevice,
+  filterOnline,
+  filterVisiblePresence,
+  getPresenceAudience,
+  removeOnlineDevice
+} from '../helpers/Presence.helper.js';
+import {
+  ConversationAccessError,
+  GroupAdminPermissionError,
+  MessageConflictError,
+  MessageDeleteWindowError,
+  MessageEditWindowError,
+  MessageNotFoundError,
+  MessagePermissionError
+} from '../helpers/ErrorTypes.helper.js';
+import {
+  formatPin,
+  formatReplySnippet,
+  notHiddenFor,
+  pinIncludes,
+  replyToInclude
+} from '../helpers/MessageFormat.helper.js';
+import {
+  recordChanges,
+  recordConversationChange
+} from '../helpers/ChangeLog.helper.js';
+import {
+  markMessagesSeen,
+  pushReadStates
+} from '../helpers/ReadState.helper.js';
+
+// The time window in which the sender can still edit a message (defaults to 15 minutes)
+const EDIT_WINDOW =
+  (parseInt(process.env.MESSAGE_EDIT_WINDOW) || 15) * 60 * 1000;
+
+// The time window in which the sender can still delete a message for everyone (defaults to 60 minutes)
+const DELETE_WINDOW =
+  (parseInt(process.env.MESSAGE_DELETE_WINDOW) || 60) * 60 * 1000;
+
+// The number of seconds of silence after which a typing/recording indicator expires
+const TYPING_EXPIRE = 5;
+
+/**
+ * Finds a message in a conversation the socket user is a member of.
+ *
+ * @param {object} socket - The socket instance.
+ * @param {string} conversationId - The ID of the conversation the message belongs to.
+ * @param {string} messageId - The ID of the message.
+ * @param {boolean} [paranoid=true] - Whether to exclude messages that were deleted for everyone.
+ * @returns {Promise<object>} A promise resolving to the message instance.
+ * @throws {ConversationAccessError} If the user is not a member of the conversation.
+ * @throws {MessageNotFoundError} If the message does not belong to the conversation.
+ */
+const findConversationMessage = async (
+  socket,
+  conversationId,
+  messageId,
+  paranoid = true
+) => {
+  // The sockets of the user join the room of every conversation the user is a member of
+  if (!socket.rooms.has(conversationId)) throw new ConversationAccessError();
+
+  const message = await db.Message.findOne({
+    where: { messageId, conversationId },
+    paranoid
+  });
+
+  if (!message) throw new MessageNotFoundError();
+
+  return message;
+};
+
+/**
+ * Finds a message that was already sent with the same ID, so a retried message is acknowledged instead of being sent twice.
+ *
+ * @param {string} userId - The ID of the sender.
+ * @param {object} data - The data of the message being sent (conversationId, messageId and content).
+ * @returns {Promise<{ sequence: number, sentAt: Date, fileUrl?: string } | null>} A promise resolving to the acknowledgement
+ * of the original message, or null if no message was sent with this ID.
+ * @throws {MessageConflictError} If the message with this ID is a different message.
+ */
+const findSentMessageAck = async (
+  userId,
+  { conversationId, messageId, content }
+) => {
+  const message = await db.Message.findByPk(messageId, { paranoid: false });
+
+  if (!message) return null;
+
+  if (
+    message.senderId !== userId ||
+    message.conversationId !== conversationId ||
+    message.content !== (content ?? null)
+  )
+    throw new MessageConflictError();
+
+  return {
+    sequence: message.sequence,
+    sentAt: message.getDataValue('sentAt'),
+    ...(message.fileUrl && { fileUrl: message.fileUrl })
+  };
+};
+
+/**
+ * Saves a new message, with an empty status for each of its recipients, and assigns it the next sequence number of the conversation.
+ *
+ * @param {object} message - The message to save (conversationId, messageId, senderId, sentAt, content, fileUrl and the optional fields).
+ * @param {Array<string>} recipientIds - The IDs of the other members of the conversation.
+ * @param {object} transaction - The transaction to save the message in.
+ * @returns {Promise<number>} A promise resolving to the sequence number of the message.
+ */
+const saveMessage = async (message, recipientIds, transaction) => {
+  const { conversationId, senderId, sentAt } = message;
+
+  // Incrementing the last sequence locks the conversation row until the transaction ends,
+  // so concurrent messages get consecutive sequence numbers
+  const [, [conversation]] = await db.Conversation.update(
+    {
+      lastSequence: db.sequelize.literal('"lastSequence" + 1'),
+      lastMessageAt: sentAt
+    },
+    { where: { conversationId }, returning: true, transaction }
+  );
+
+  await db.Message.create(
+    {
+      ...message,
+      sequence: conversation.lastSequence,
+      updatedAt: sentAt,
+      status: recipientIds.map((userId) => ({ userId }))
+    },
+    {
+      include: [
+        {
+          model: db.MessageStatus,
+          as: 'status'
+        }
+      ],
+      transaction
+    }
+  );
+
+  // The message is unread by the other members until they see it
+  await db.Member.increment('unreadCount', {
+    where: { conversationId, userId: { [Op.ne]: senderId } },
+    transaction
+  });
+
+  return conversation.lastSequence;
+};
 
 /**
  * Initializes the user associated with the socket.
  *
- * This function `initializeUser` sets the `id` property on the socket object to the user ID retrieved
- * from the session stored in the session passport. It also retrieves the user object from either
- * the Redis cache or the database, depending on whether it's cached. Once retrieved, it sets the `user` property on
+ * This function `initializeUser` retrieves the user ID from the session stored in the session passport, and the user object
+ * from either the Redis cache or the database, depending on whether it's cached. Once retrieved, it sets the `user` property on
  * the socket object to the fetched user object. This allows easy access to user information throughout the socket communication process.
- * It also joins the socket to a room with the user ID, enabling targeted communication.
+ *
+ * A user can be connected from several devices (or tabs) at the same time, each one with its own socket. The socket keeps its own ID,
+ * and the device ID sent by the client in the handshake (`auth.deviceId`) is set as the `deviceId` property on the socket, so the state
+ * of a device (e.g. its typing indicators) is kept across its reconnections. A device ID is generated for the clients that do not send one.
+ * The socket joins a room with the user ID shared by all the sockets of the user, enabling targeted communication, and a room with the device ID.
  *
  * @param {object} socket - The socket instance.
  * @param {Function} next - The next function to be called in the middleware chain.
  */
 export const initializeUser = async (socket, next) => {
   try {
-    // Set the socket id to the user ID stored in the session
-    socket.id = socket.request.session.passport?.user.userId;
-
-    // Retrieve user object from Redis cache
-    let user = JSON.parse(await redisClient.get(`user_data:${socket.id}`));
-
-    // If user object not found in cache, fetch from database
-    if (!user) {
-      user = (
-        await db.User.findByPk(socket.id, {
-          attributes: [
-            'userId',
-            'googleId',
-            'email',
-            'username',
-            'image',
-            'createdAt',
-            'isVerified'
-          ],
-          include: [
-            {
-              model: db.Conversation,
-              as: 'conversations',
-              attributes: ['conversationId', 'isGroup'],
-              include: {
-                model: db.Member,
-                as: 'members',
-                attributes: ['userId'],
-                where: { userId: { [Op.ne]: socket.id } }
-              }
-            },
-            {
-              model: db.User,
-              as: 'contacts',
-              attributes: ['userId']
-            }
-          ]
-        })
-      )?.dataValues;
+    const userId = socket.request.session.passport?.user.userId;
 
-      if (!user) return;
+    // Retrieve user object from either the Redis cache or the database
+    const user = await fetchUserData(userId);
 
-      const singleConversationUserIds = new Set();
-      const conversationIds = new Set();
-      const contactIds = new Set();
+    if (!user) return;
 
-      if (!!user.conversation)
-        user.conversations.forEach((conversation) => {
-          if (!conversation.dataValues.isGroup) {
-            singleConversationUserIds.add(conversation.members[0].userId);
-          }
+    socket.user = user;
 
-          conversationIds.add(conversation.dataValues.conversationId);
-        });
+    // Exposed to the other server instances when fetching the sockets
+    socket.data.userId = user.userId;
 
-      if (!!user.contacts)
-        user.contacts.forEach((contact) =>
-          contactIds.add(contact.dataValues.userId)
-        );
-
-      user.singleConversationUserIds = Array.from(singleConversationUserIds);
-      user.conversationIds = Array.from(conversationIds);
-      user.contactIds = Array.from(contactIds);
-
-      delete user.conversations;
-      delete user.contacts;
-      // Store the fetched user data in the cache for future use
-      await redisClient.setex(
-        `user_data:${socket.id}`,
-        60 * 60 * 24, // Cache expiration time set to 1 day
-        JSON.stringify({ ...user })
-      );
-    }
+    // Generate a device ID for the clients that do not identify their device (sent back to them on connect)
+    const { deviceId } = socket.handshake.auth ?? {};
+    socket.deviceId =
+      typeof deviceId === 'string' &&
+      deviceId.length > 0 &&
+      deviceId.length <= 64
+        ? deviceId
+        : randomUUID();
 
-    socket.user = user;
+    // The expiry timers of the typing/recording indicators of the socket, mapped by conversation ID
+    socket.typingTimers = new Map();
 
-    socket.join(socket.id);
-    socket.join(socket.user.conversationIds);
+    socket.join(user.userId);
+    socket.join(`device:${user.userId}:${socket.deviceId}`);
+    socket.join(user.conversationIds);
 
     next();
   } catch (err) {
@@ -107,11 +219,12 @@ export const initializeUser = async (socket, next) => {
 /**
  * Handles the connect event for a socket.
  *
- * This function retrieves the sockets associated with the user from the Redis database,
- * filters them to find the online sockets (active sockets), and emits a 'connected' event
+ * This function sends the device ID of the socket to the client with a 'device' event, then retrieves the users related to the user
+ * (one-to-one conversations, group members and contacts), filters them to find the online sockets (active sockets) that share their presence with the user, and emits a 'connected' event
  * to the user's socket with the online sockets to inform about the users online.
- * If online sockets exist, it also emits a 'connected' event to the online sockets with
- * the user's ID to notify the other users that the user is online.
+ * It also emits a 'connected' event to the online users allowed by the user's privacy setting
+ * with the user's ID to notify the other users that the user is online. A user is online as long as any of their devices is connected,
+ * so the other users are only notified when the first socket of the user connects (the connected sockets of each user are counted in Redis).
  *
  * @param {object} io - The socket.io instance.
  * @param {object} socket - The socket instance that connected.
@@ -119,14 +232,27 @@ export const initializeUser = async (socket, next) => {
  * @returns {Promise<void>} A Promise indicating the completion of the operation.
  */
 export const handleConnect = async (socket) => {
-  const { singleConversationUserIds, conversationIds, userId } = socket.user;
+  const {
+    singleConversationUserIds,
+    groupMemberIds = [],
+    contactIds,
+    conversationIds,
+    userId
+  } = socket.user;
 
   try {
+    // The client reuses the device ID when it reconnects
+    socket.emit('device', { deviceId: socket.deviceId });
+
+    // Counted before anything else, so the disconnection of the socket is always counted after it
+    const isFirstDevice = await addOnlineDevice(userId);
+
     const undeliveredMessages = await db.Conversation.findAll({
       where: {
         conversationId: { [Op.in]: conversationIds },
         '$messages.status.userId$': { [Op.eq]: userId },
-        '$messages.status.deliverAt$': { [Op.eq]: null }
+        '$messages.status.deliverAt$': { [Op.eq]: null },
+        '$messages.messageId$': notHiddenFor(userId)
       },
       include: [
         {
@@ -144,20 +270,39 @@ export const handleConnect = async (socket) => {
           ]
         }
       ],
-      order: [[{ model: db.Message, as: 'messages' }, 'sentAt', 'DESC']]
+      order: [
+        [{ model: db.Message, as: 'messages' }, 'sequence', 'DESC NULLS LAST'],
+        [{ model: db.Message, as: 'messages' }, 'sentAt', 'DESC']
+      ]
     });
 
     if (undeliveredMessages.length !== 0)
-      io.to(socket.id).emit('undelivered_messages', undeliveredMessages);
+      socket.emit('undelivered_messages', undeliveredMessages);
 
-    const onlineSockets = singleConversationUserIds.filter((socketId) =>
-      io.sockets.adapter.rooms.has(socketId)
+    // The online users related to the current user that share their presence with them
+    const onlineSockets = await filterVisiblePresence(
+      await filterOnline(
+        Array.from(
+          new Set([
+            ...singleConversationUserIds,
+            ...groupMemberIds,
+            ...contactIds
+          ])
+        )
+      ),
+      userId
     );
 
-    io.to(socket.id).emit('connected', true, onlineSockets);
+    socket.emit('connected', true, onlineSockets);
+
+    // The other devices of the user already notified the other users
+    if (!isFirstDevice) return;
 
-    if (onlineSockets.length > 0) {
-      io.to(onlineSockets).emit('connected', true, [socket.id]);
+    // The online users allowed to receive the presence of the current user
+    const onlineAudience = await filterOnline(getPresenceAudience(socket.user));
+
+    if (onlineAudience.length > 0) {
+      io.to(onlineAudience).emit('connected', true, [userId]);
     }
   } catch (error) {
     console.error('SOCKET_CONNECT_EVENT_ERROR', error);
@@ -167,107 +312,342 @@ export const handleConnect = async (socket) => {
 /**
  * Handles the disconnect event for a socket.
  *
- * This function retrieves the sockets that have an existing conversation with the current socket,
- * filters them to find the online sockets (active sockets), and emits a 'connected' event
- * to the online sockets with the user's ID to notify the other users that the user is offline.
+ * This function clears any typing/recording indicator of the socket. If it was the user's last connected socket (device),
+ * it persists the user's last seen date and emits a 'connected' event with the user's ID and last seen date
+ * to the users allowed by the user's privacy setting to notify them that the user is offline.
  *
  * @param {object} io - The socket.io instance.
  * @param {object} socket - The socket instance that disconnected.
  */
 export const handleDisconnect = async (socket) => {
-  const socketIds = socket.user.singleConversationUserIds;
+  const { userId } = socket.user;
 
   try {
-    io.to(socketIds).emit('connected', false, [socket.id]);
+    // Uncounted before anything else, so the counter is kept in sync even if the rest fails
+    const isLastDevice = await removeOnlineDevice(userId);
+
+    // Clear the typing/recording indicators so they do not stick for the other members
+    await Promise.all(
+      Array.from(socket.typingTimers.keys()).map((conversationId) =>
+        stopTyping(socket, conversationId)
+      )
+    );
+
+    // The user is still online if another socket of the user is connected
+    if (!isLastDevice) return;
+
+    const lastSeenAt = new Date();
+    await db.User.update({ lastSeenAt }, { where: { userId } });
+
+    // Retrieve the up to date user data, as the privacy setting or contacts could have changed since the socket connected
+    const user = (await fetchUserData(userId)) ?? socket.user;
+
+    const socketIds = getPresenceAudience(user);
+
+    if (socketIds.length > 0)
+      io.to(socketIds).emit('connected', false, [userId], lastSeenAt);
   } catch (error) {
     console.error('SOCKET_DISCONNECT_EVENT_ERROR', error);
   }
 };
 
+/**
+ * Handles the sync of the changes missed by the device while it was offline received via socket.io.
+ *
+ * The changes include edited, deleted and hidden messages, reactions, message status updates and conversation/member updates.
+ * @param {object} socket - The socket object representing the client connection.
+ * @param {object} data - The data object containing the sync details.
+ *                        This object should have the following properties:
+ *                        - `cursor`: (Optional) A string representing the cursor of the last change received by the device.
+ * @param {Function} cb - A callback function to be executed with the changes since the cursor, the next cursor and whether
+ *                        a full resync is required, or with an error object.
+ */
+export const handleSync = async (socket, data, cb) => {
+  try {
+    const { items, cursor, hasNextPage, fullResync, error } =
+      await fetchChanges(socket.user.userId, data?.cursor);
+
+    if (error) throw error;
+
+    cb({ items, cursor, hasNextPage, fullResync });
+  } catch (error) {
+    console.error('SOCKET_SYNC_EVENT_ERROR', error);
+    cb(formatAckError(error));
+  }
+};
+
 /**
  * Handles the reception and processing of a new message received via socket.io.
  * @param {object} socket - The socket object representing the client connection.
  * @param {object} data - The data object containing message details.
  *                        This object should have the following properties:
  *                        - `conversationId`: A string representing the unique identifier of the conversation to which the message belongs.
- *                        - `messageId`: A string representing the unique identifier of the message.
- *                        - `sentAt`: A Date object or a string representing the timestamp when the message was sent.
+ *                        - `messageId`: A string representing the unique identifier of the message. Sending a message again with the same ID (e.g. a retry after
+ *                          a dropped acknowledgement) acknowledges the original message, unless it is a different message.
+ *                        - `sentAt`: (Ignored) The timestamp is assigned by the server when the message is received, as the clocks of the devices can be skewed.
  *                        - `content`: A string representing the content of the message.
- *                        - `intialMessageStatus`: An object containing initial message status details. This object typically maps user IDs to their corresponding message status. Each key represents a user ID, and the value associated with each key could contain information such as whether the message has been delivered or seen by that user.
- * @param {Function} cb - A callback function to be executed after message handling to notify the sender that the message was recieved by the server.
+ *                        - `replyToMessageId`: (Optional) A string representing the unique identifier of the message being replied to. It must belong to the same conversation.
+ *                        - `intialMessageStatus`: (Ignored) The recipients of the message are the other members of the conversation, the sender must be a member.
+ * @param {Function} cb - A callback function to be executed after message handling to notify the sender that the message was recieved by the server,
+ *                      with the sequence number and timestamp assigned by the server.
  */
 export const handleMessage = async (socket, data, cb) => {
   try {
-    const {
-      conversationId,
-      messageId,
-      sentAt,
-      content,
-      file,
-      intialMessageStatus
-    } = data;
+    const { conversationId, messageId, content, file, replyToMessageId } = data;
 
     const { userId, username, image, createdAt } = socket.user;
 
+    // The recipients are the other members of the conversation
+    const members = await db.Member.findAll({
+      where: { conversationId },
+      attributes: ['userId', 'isAdmin'],
+      include: {
+        model: db.Conversation,
+        as: 'conversation',
+        attributes: ['slowModeInterval']
+      }
+    });
+
+    const sender = members.find((member) => member.userId === userId);
+
+    if (!sender) throw new ConversationAccessError();
+
+    // Acknowledge a retried message without sending it again (only the members can look up the messages sent)
+    const sentMessageAck = await findSentMessageAck(userId, data);
+    if (!!sentMessageAck) return cb(sentMessageAck);
+
+    // The admins of a group are not limited by its slow mode
+    const { slowModeInterval } = sender.conversation;
+    const isSlowMode = slowModeInterval > 0 && !sender.isAdmin;
+    if (isSlowMode)
+      await slowModeLimiter(conversationId, userId, slowModeInterval);
+
+    let replyTo = null;
     let fileUrl = null;
-    if (!!file) {
-      const folder = !!file.type.match(/(jpg|jpeg|png)/)
-        ? 'image'
-        : file.type === 'pdf'
-        ? 'pdf'
-        : null;
+    let sentAt;
+    let sequence;
+    try {
+      if (!!replyToMessageId) {
+        // The quoted message must exist (not deleted) and belong to the same conversation
+        replyTo = await db.Message.findOne({
+          where: { messageId: replyToMessageId, conversationId },
+          attributes: replyToInclude.attributes,
+          include: replyToInclude.include
+        });
+
+        if (!replyTo) throw new MessageNotFoundError();
+      }
 
-      if (!folder) throw new Error('Invalid file type');
-      if (file.size > 4 * 1024 * 1024) throw new Error('File too large');
+      if (!!file) {
+        const folder = !!file.type.match(/(jpg|jpeg|png)/)
+          ? 'image'
+          : file.type === 'pdf'
+          ? 'pdf'
+          : null;
 
-      const { secure_url, error } = await uploader(null, file.data, folder);
-      if (error) throw error;
+        if (!folder) throw new Error('Invalid file type');
+        if (file.size > 4 * 1024 * 1024) throw new Error('File too large');
 
-      fileUrl = secure_url;
-    }
+        const { secure_url, error } = await uploader(null, file.data, folder);
+        if (error) throw error;
 
-    await db.Message.create(
-      {
-        conversationId,
-        messageId,
-        senderId: socket.id,
-        sentAt,
-        updatedAt: sentAt,
-        content: content ?? null,
-        fileUrl: fileUrl ?? null,
-        status: Object.keys(intialMessageStatus).map((userId) => {
-          return { userId };
-        })
-      },
-      {
-        include: [
-          {
-            model: db.MessageStatus,
-            as: 'status'
-          }
-        ]
+        fileUrl = secure_url;
       }
-    );
 
-    await db.Conversation.update(
-      { lastMessageAt: sentAt },
-      { where: { conversationId } }
-    );
+      // The server is the source of truth for the order of the messages
+      sentAt = new Date();
+
+      sequence = await db.sequelize.transaction((transaction) =>
+        saveMessage(
+          {
+            conversationId,
+            messageId,
+            senderId: userId,
+            sentAt,
+            content: content ?? null,
+            fileUrl: fileUrl ?? null,
+            replyToMessageId: replyTo?.messageId ?? null
+          },
+          members
+            .filter((member) => member.userId !== userId)
+            .map((member) => member.userId),
+          transaction
+        )
+      );
+    } catch (error) {
+      // The slow mode slot is only used by a message that was sent
+      if (isSlowMode) await releaseSlowMode(conversationId, userId);
+
+      if (!(error instanceof UniqueConstraintError)) throw error;
+
+      // A retry of the message was saved while this one was being handled
+      return cb(await findSentMessageAck(userId, data));
+    }
 
     socket.to(conversationId).emit('new_message', {
       conversationId,
       messageId,
       sender: { userId, username, image, createdAt },
+      sequence,
       sentAt,
       updatedAt: sentAt,
       ...(!!content && { content }),
-      ...(!!fileUrl && { fileUrl })
+      ...(!!fileUrl && { fileUrl }),
+      ...(!!replyTo && {
+        replyToMessageId: replyTo.messageId,
+        replyTo: formatReplySnippet(replyTo)
+      })
     });
 
-    cb({ ...(fileUrl && { fileUrl }) });
+    cb({ sequence, sentAt, ...(fileUrl && { fileUrl }) });
   } catch (error) {
     console.error('SOCKET_MESSAGE_EVENT_ERROR', error);
-    cb({ error: { message: errorsJson.server.unexpected.message } });
+    cb(formatAckError(error));
+  }
+};
+
+/**
+ * Handles the forwarding of a message to other conversations received via socket.io.
+ *
+ * A copy of the message is sent to each target conversation, with the same content and file (the uploaded file is reused).
+ * The copies are marked as forwarded, with the number of times the content was forwarded. Only the messages visible to the user
+ * (not deleted, hidden or sent before they joined) can be forwarded, and the copies are all sent in one transaction once every target is checked.
+ * @param {object} socket - The socket object representing the client connection.
+ * @param {object} data - The data object containing the forwarding details.
+ *                        This object should have the following properties:
+ *                        - `conversationId`: A string representing the unique identifier of the conversation to which the message belongs.
+ *                        - `messageId`: A string representing the unique identifier of the message to forward.
+ *                        - `targetConversationIds`: An array of strings representing the unique identifiers of the conversations to forward
+ *                          the message to. The user must be a member of each of them.
+ * @param {Function} cb - A callback function to be executed with the ID, sequence number and timestamp of each copy, or with an error object
+ *                      if the forwarding was refused (no copy is sent then).
+ */
+export const handleForwardMessage = async (socket, data, cb) => {
+  try {
+    const { conversationId, messageId, targetConversationIds } = data;
+    const { userId, username, image, createdAt } = socket.user;
+
+    const sourceMember = await db.Member.findOne({
+      where: { conversationId, userId },
+      attributes: ['joinedAt']
+    });
+
+    if (!sourceMember) throw new ConversationAccessError();
+
+    // Only the messages visible to the user can be forwarded
+    const message = await db.Message.findOne({
+      where: {
+        conversationId,
+        messageId: { [Op.eq]: messageId, ...notHiddenFor(userId) },
+        sentAt: { [Op.gt]: sourceMember.dataValues.joinedAt }
+      },
+      attributes: ['content', 'fileUrl', 'forwardCount']
+    });
+
+    if (!message) throw new MessageNotFoundError();
+
+    const members = await db.Member.findAll({
+      where: { conversationId: { [Op.in]: targetConversationIds } },
+      attributes: ['conversationId', 'userId', 'isAdmin'],
+      include: {
+        model: db.Conversation,
+        as: 'conversation',
+        attributes: ['slowModeInterval']
+      }
+    });
+
+    // Check every target conversation before sending any copy. The targets are sorted so that concurrent
+    // forwards lock the conversation rows in the same order
+    const targets = [...targetConversationIds].sort().map((targetId) => {
+      const targetMembers = members.filter(
+        (member) => member.conversationId === targetId
+      );
+
+      const sender = targetMembers.find((member) => member.userId === userId);
+
+      if (!sender) throw new ConversationAccessError();
+
+      return {
+        conversationId: targetId,
+        sender,
+        recipientIds: targetMembers
+          .filter((member) => member.userId !== userId)
+          .map((member) => member.userId)
+      };
+    });
+
+    const { content, fileUrl } = message;
+    const forwardCount = message.forwardCount + 1;
+
+    // The slow mode slots taken so far, released if the copies cannot all be sent
+    const slowModeTargetIds = [];
+
+    let items;
+    try {
+      // The admins of a group are not limited by its slow mode
+      for (const { conversationId: targetId, sender } of targets) {
+        const { slowModeInterval } = sender.conversation;
+        if (slowModeInterval > 0 && !sender.isAdmin) {
+          await slowModeLimiter(targetId, userId, slowModeInterval);
+          slowModeTargetIds.push(targetId);
+        }
+      }
+
+      // Either all the copies are sent or none of them
+      items = await db.sequelize.transaction(async (transaction) => {
+        const copies = [];
+
+        for (const { conversationId: targetId, recipientIds } of targets) {
+          const copy = {
+            conversationId: targetId,
+            messageId: randomUUID(),
+            sentAt: new Date()
+          };
+
+          copy.sequence = await saveMessage(
+            {
+              ...copy,
+              senderId: userId,
+              content,
+              fileUrl,
+              isForwarded: true,
+              forwardCount
+            },
+            recipientIds,
+            transaction
+          );
+
+          copies.push(copy);
+        }
+
+        return copies;
+      });
+    } catch (error) {
+      await Promise.all(
+        slowModeTargetIds.map((targetId) => releaseSlowMode(targetId, userId))
+      );
+      throw error;
+    }
+
+    items.forEach(({ conversationId: targetId, messageId, sequence, sentAt }) =>
+      socket.to(targetId).emit('new_message', {
+        conversationId: targetId,
+        messageId,
+        sender: { userId, username, image, createdAt },
+        sequence,
+        sentAt,
+        updatedAt: sentAt,
+        isForwarded: true,
+        forwardCount,
+        ...(!!content && { content }),
+        ...(!!fileUrl && { fileUrl })
+      })
+    );
+
+    cb({ items });
+  } catch (error) {
+    console.error('SOCKET_FORWARD_EVENT_ERROR', error);
+    cb(formatAckError(error));
   }
 };
 
@@ -297,52 +677,152 @@ export const handleMessage = async (socket, data, cb) => {
  *                              deliverAt?: Date, // (Optional) The timestamp when the messages were delivered
  *                              seenAt?: Date // (Optional) The timestamp when the messages were seen
  *                            }
+ *                        The status update is relayed to the senders and to the other devices of the user.
+ *                        When messages are seen, the updated unread counters are pushed to the devices of the user ('update_unread' event).
  */
 export const handleMessageStatus = async (socket, data) => {
+  const { userId } = socket.user;
+
   try {
-    if (data.messageId !== undefined) {
-      socket.to(data.senderId).emit('set_status', data, socket.user.userId);
-    }
+    // The status update sent to the sender of each message
+    const receipts =
+      data.messageId !== undefined
+        ? [{ senderId: data.senderId, status: data }]
+        : data.messages.map((message) => ({
+            senderId: message.sender.userId,
+            status: {
+              conversationId: message.conversationId,
+              messageId: message.messageId,
+              ...(data.type === 'deliver'
+                ? { deliverAt: data.deliverAt }
+                : { seenAt: data.seenAt }),
+              type: data.type
+            }
+          }));
 
-    if (data.messages !== undefined) {
-      data.messages.forEach((message) => {
-        socket.to(message.sender.userId).emit(
-          'set_status',
-          {
-            conversationId: message.conversationId,
-            messageId: message.messageId,
-            ...(data.type === 'deliver'
-              ? { deliverAt: data.deliverAt }
-              : { seenAt: data.seenAt }),
-            type: data.type
-          },
-          socket.user.userId
-        );
-      });
+    receipts.forEach(({ senderId, status }) =>
+      socket.to(senderId).emit('set_status', status, userId)
+    );
+
+    const messageIds = !!data.messageId
+      ? [data.messageId]
+      : data.messages.map((message) => message.messageId);
+
+    if (data.type === 'deliver') {
+      await db.MessageStatus.update(
+        { deliverAt: data.deliverAt },
+        { where: { userId, messageId: { [Op.in]: messageIds } } }
+      );
+    } else {
+      // Update the unread counters of the user and push them to all the devices of the user
+      const readStates = await markMessagesSeen(
+        userId,
+        messageIds,
+        data.seenAt
+      );
+      await pushReadStates(userId, readStates);
     }
 
-    await db.MessageStatus.update(
-      {
-        ...(data.type === 'deliver'
-          ? { deliverAt: data.deliverAt }
-          : { seenAt: data.seenAt })
-      },
-      {
-        where: {
-          userId: socket.user.userId,
-          messageId: data.messageId || {
-            [Op.in]: data.messages.map((message) => message.messageId)
-          }
-        }
-      }
-    );
+    // Sync the status with the other devices of the user
+    socket.to(userId).emit('sync_status', data);
+
+    // Record the status update for the devices of the senders and of the user that are offline
+    await Promise.all([
+      ...receipts.map(({ senderId, status }) =>
+        recordChanges([senderId], 'set_status', status, userId)
+      ),
+      recordChanges([userId], 'sync_status', data)
+    ]);
   } catch (error) {
     console.error('SOCKET_STATUS_EVENT_ERROR', error);
   }
 };
 
+/**
+ * Handles the marking of a conversation as read received via socket.io.
+ *
+ * The messages not seen yet are marked as seen up to the message, or up to the last message, and their senders are notified.
+ * @param {object} socket - The socket object representing the client connection.
+ * @param {object} data - The data object containing the conversation details.
+ *                        This object should have the following properties:
+ *                        - `conversationId`: A string representing the unique identifier of the conversation to mark as read.
+ *                        - `messageId`: (Optional) A string representing the unique identifier of the message to mark the conversation as read up to.
+ * @param {Function} cb - A callback function to be executed with the updated read state of the conversation, or with an error object.
+ */
+export const handleMarkRead = async (socket, data, cb) => {
+  try {
+    const { readState, error } = await setConversationRead(
+      data.conversationId,
+      socket.user.userId,
+      data.messageId
+    );
+
+    if (error) throw error;
+
+    cb({ readState });
+  } catch (error) {
+    console.error('SOCKET_MARK_READ_EVENT_ERROR', error);
+    cb(formatAckError(error));
+  }
+};
+
+/**
+ * Handles starring a message received via socket.io.
+ * @param {object} socket - The socket object representing the client connection.
+ * @param {object} data - The data object containing the star details.
+ *                        This object should have the following properties:
+ *                        - `conversationId`: A string representing the unique identifier of the conversation to which the message belongs.
+ *                        - `messageId`: A string representing the unique identifier of the message to star.
+ * @param {Function} cb - A callback function to be executed with the star, or with an error object if it was refused.
+ */
+export const handleStarMessage = async (socket, data, cb) => {
+  try {
+    const { star, error } = await setStar(
+      data.conversationId,
+      socket.user.userId,
+      data.messageId
+    );
+
+    if (error) throw error;
+
+    cb({ star });
+  } catch (error) {
+    console.error('SOCKET_STAR_MESSAGE_EVENT_ERROR', error);
+    cb(formatAckError(error));
+  }
+};
+
+/**
+ * Handles unstarring a message received via socket.io.
+ * @param {object} socket - The socket object representing the client connection.
+ * @param {object} data - The data object containing the star details.
+ *                        This object should have the following properties:
+ *                        - `conversationId`: A string representing the unique identifier of the conversation to which the message belongs.
+ *                        - `messageId`: A string representing the unique identifier of the message to unstar.
+ * @param {Function} cb - A callback function to be executed after the message is unstarred, or with an error object.
+ */
+export const handleUnstarMessage = async (socket, data, cb) => {
+  try {
+    const { error } = await removeStar(
+      data.conversationId,
+      socket.user.userId,
+      data.messageId
+    );
+
+    if (error) throw error;
+
+    cb();
+  } catch (error) {
+    console.error('SOCKET_UNSTAR_MESSAGE_EVENT_ERROR', error);
+    cb(formatAckError(error));
+  }
+};
+
 /**
  * Handles the editing of a message received via socket.io.
+ *
+ * Only the sender of a message can edit it, and only within the edit window (MESSAGE_EDIT_WINDOW minutes) after it was sent.
+ * The replaced content is stored as a revision of the message.
  * @param {object} socket - The socket object representing the client connection.
  * @param {object} data - The data object containing message edit details.
  *                        This object should have the following properties:
@@ -351,47 +831,448 @@ export const handleMessageStatus = async (socket, data) => {
  *                        - `memberIds`: An array of strings representing the IDs of members involved in the conversation.
  *                        - `content`: A string representing the updated content of the message.
  *                        - `conversationId`: A string representing the unique identifier of the conversation to which the message belongs.
+ * @param {Function} cb - A callback function to be executed after the message is edited, or with an error object if the edit was refused.
  */
 export const handleMessageEdit = async (socket, data, cb) => {
-  const { messageId, updatedAt, content, conversationId } = data;
-
   try {
-    await db.Message.update({ content, updatedAt }, { where: { messageId } });
+    const { messageId, updatedAt, content, conversationId } = data;
 
-    socket
-      .to(conversationId)
-      .emit('update_message', { messageId, content, conversationId });
+    const message = await findConversationMessage(
+      socket,
+      conversationId,
+      messageId
+    );
+
+    if (message.senderId !== socket.user.userId)
+      throw new MessagePermissionError('edit');
+
+    // Use the raw date since the sentAt getter formats it for display
+    const sentAt = message.getDataValue('sentAt');
+    if (Date.now() - new Date(sentAt).getTime() > EDIT_WINDOW)
+      throw new MessageEditWindowError();
+
+    // Keep the replaced content as a revision of the message
+    await db.sequelize.transaction(async (transaction) => {
+      await db.MessageRevision.create(
+        { messageId, content: message.content },
+        { transaction }
+      );
+
+      await message.update(
+        {
+          content,
+          updatedAt,
+          revisionCount: message.revisionCount + 1
+        },
+        { transaction }
+      );
+    });
+
+    const update = {
+      messageId,
+      content,
+      conversationId,
+      isEdited: true,
+      revisionCount: message.revisionCount
+    };
+
+    socket.to(conversationId).emit('update_message', update);
+
+    // Record the edit for the devices that are offline
+    await recordConversationChange(conversationId, 'update_message', update);
 
     cb();
   } catch (error) {
     console.error('SOCKET_EDIT_EVENT_ERROR', error);
-    cb({ message: errorsJson.server.unexpected.message });
+    cb(formatAckError(error));
   }
 };
 
 /**
- * Handles the soft deletion of a message received via socket.io.
+ * Handles the deletion of a message received via socket.io.
+ *
+ * A message can be deleted in one of two scopes:
+ * - 'everyone' (default): The message is soft deleted for all the members of the conversation. Only the sender can delete
+ *   their message within the delete window (MESSAGE_DELETE_WINDOW minutes) after it was sent, unless the user is an admin of the group.
+ * - 'me': The message is only hidden from the current user's view.
  * @param {object} socket - The socket object representing the client connection.
  * @param {object} data - The data object containing message soft deletion details.
  *                        This object should have the following properties:
  *                        - `messageId`: A string representing the unique identifier of the message to be soft deleted.
  *                        - `conversationId`: A string representing the unique identifier of the conversation to which the message belongs.
  *                        - `deletedAt`: A Date object or a string representing the timestamp when the message was soft deleted.
+ *                        - `scope`: (Optional) A string representing who the message is deleted for ('everyone' or 'me').
  *                        Soft deletion means marking the message as deleted in the database without physically removing it.
+ * @param {Function} cb - A callback function to be executed after the message is deleted, or with an error object if the deletion was refused.
  */
 export const handleDeleteMessage = async (socket, data, cb) => {
-  const { messageId, conversationId, deletedAt } = data;
-
   try {
-    await db.Message.destroy({ where: { messageId } });
+    const { messageId, conversationId, deletedAt, scope = 'everyone' } = data;
+    const { userId } = socket.user;
+
+    if (scope === 'me') {
+      // Messages already deleted for everyone can still be hidden
+      await findConversationMessage(socket, conversationId, messageId, false);
+
+      await db.HiddenMessage.findOrCreate({ where: { userId, messageId } });
+      await db.StarredMessage.destroy({ where: { userId, messageId } });
+
+      // Notify the other devices of the user to hide the message
+      socket.to(userId).emit('hide_message', { messageId, conversationId });
+      await recordChanges([userId], 'hide_message', {
+        messageId,
+        conversationId
+      });
+
+      return cb();
+    }
+
+    const message = await findConversationMessage(
+      socket,
+      conversationId,
+      messageId
+    );
+
+    if (message.senderId !== userId) {
+      // Group admins can delete the messages of other members
+      const isAdmin = await db.Member.count({
+        where: { conversationId, userId, isAdmin: true }
+      });
+
+      if (!isAdmin) throw new MessagePermissionError('delete');
+    } else {
+      // Use the raw date since the sentAt getter formats it for display
+      const sentAt = message.getDataValue('sentAt');
+      if (Date.now() - new Date(sentAt).getTime() > DELETE_WINDOW)
+        throw new MessageDeleteWindowError();
+    }
+
+    await db.Message.destroy({ where: { messageId, conversationId } });
+
+    // The message is no longer starred by anyone once it is deleted for everyone
+    await db.StarredMessage.destroy({ where: { messageId } });
 
     socket
       .to(conversationId)
       .emit('remove_message', { messageId, conversationId, deletedAt });
 
+    // Record the deletion for the devices that are offline
+    await recordConversationChange(conversationId, 'remove_message', {
+      messageId,
+      conversationId,
+      deletedAt
+    });
+
     cb();
   } catch (error) {
     console.error('SOCKET_DELETE_EVENT_ERROR', error);
-    cb({ message: errorsJson.server.unexpected.message });
+    cb(formatAckError(error));
+  }
+};
+
+/**
+ * Handles adding a reaction to a message received via socket.io.
+ * @param {object} socket - The socket object representing the client connection.
+ * @param {object} data - The data object containing the reaction details.
+ *                        This object should have the following properties:
+ *                        - `conversationId`: A string representing the unique identifier of the conversation to which the message belongs.
+ *                        - `messageId`: A string representing the unique identifier of the message to react to.
+ *                        - `emoji`: A string representing the emoji to react with.
+ * @param {Function} cb - A callback function to be executed after the reaction is saved, or with an error object if it was refused.
+ */
+export const handleAddReaction = async (socket, data, cb) => {
+  try {
+    const { conversationId, messageId, emoji } = data;
+    const { userId } = socket.user;
+
+    await findConversationMessage(socket, conversationId, messageId);
+
+    const [, created] = await db.MessageReaction.findOrCreate({
+      where: { messageId, userId, emoji }
+    });
+
+    // Only notify the other members if the reaction did not already exist
+    if (created) {
+      const update = {
+        conversationId,
+        messageId,
+        emoji,
+        userId,
+        action: 'add'
+      };
+
+      socket.to(conversationId).emit('update_reaction', update);
+      await recordConversationChange(conversationId, 'update_reaction', update);
+    }
+
+    cb();
+  } catch (error) {
+    console.error('SOCKET_ADD_REACTION_EVENT_ERROR', error);
+    cb(formatAckError(error));
+  }
+};
+
+/**
+ * Handles removing a reaction from a message received via socket.io.
+ * @param {object} socket - The socket object representing the client connection.
+ * @param {object} data - The data object containing the reaction details.
+ *                        This object should have the following properties:
+ *                        - `conversationId`: A string representing the unique identifier of the conversation to which the message belongs.
+ *                        - `messageId`: A string representing the unique identifier of the message the reaction belongs to.
+ *                        - `emoji`: A string representing the emoji to remove.
+ * @param {Function} cb - A callback function to be executed after the reaction is removed, or with an error object if it was refused.
+ */
+export const handleRemoveReaction = async (socket, data, cb) => {
+  try {
+    const { conversationId, messageId, emoji } = data;
+    const { userId } = socket.user;
+
+    await findConversationMessage(socket, conversationId, messageId);
+
+    const removed = await db.MessageReaction.destroy({
+      where: { messageId, userId, emoji }
+    });
+
+    if (!!removed) {
+      const update = {
+        conversationId,
+        messageId,
+        emoji,
+        userId,
+        action: 'remove'
+      };
+
+      socket.to(conversationId).emit('update_reaction', update);
+      await recordConversationChange(conversationId, 'update_reaction', update);
+    }
+
+    cb();
+  } catch (error) {
+    console.error('SOCKET_REMOVE_REACTION_EVENT_ERROR', error);
+    cb(formatAckError(error));
+  }
+};
+
+/**
+ * Checks that the socket user can pin and unpin the messages of a conversation.
+ *
+ * In groups, only the admins can change the pins. In one-to-one conversations, both members can.
+ *
+ * @param {object} socket - The socket instance.
+ * @param {string} conversationId - The ID of the conversation.
+ * @returns {Promise<void>}
+ * @throws {GroupAdminPermissionError} If the conversation is a group and the user is not one of its admins.
+ */
+const checkPinPermission = async (socket, conversationId) => {
+  const member = await db.Member.findOne({
+    where: { conversationId, userId: socket.user.userId },
+    include: {
+      model: db.Conversation,
+      as: 'conversation',
+      attributes: ['isGroup']
+    }
+  });
+
+  if (!member) throw new ConversationAccessError();
+
+  if (member.conversation.isGroup && !member.isAdmin)
+    throw new GroupAdminPermissionError();
+};
+
+/**
+ * Handles pinning a message received via socket.io.
+ * @param {object} socket - The socket object representing the client connection.
+ * @param {object} data - The data object containing the pin details.
+ *                        This object should have the following properties:
+ *                        - `conversationId`: A string representing the unique identifier of the conversation to which the message belongs.
+ *                        - `messageId`: A string representing the unique identifier of the message to pin.
+ * @param {Function} cb - A callback function to be executed with the pin, or with an error object if it was refused.
+ */
+export const handlePinMessage = async (socket, data, cb) => {
+  try {
+    const { conversationId, messageId } = data;
+
+    await findConversationMessage(socket, conversationId, messageId);
+    await checkPinPermission(socket, conversationId);
+
+    const [, created] = await db.PinnedMessage.findOrCreate({
+      where: { conversationId, messageId },
+      defaults: { pinnedBy: socket.user.userId }
+    });
+
+    const pin = formatPin(
+      await db.PinnedMessage.findOne({
+        where: { conversationId, messageId },
+        include: pinIncludes
+      })
+    );
+
+    // Only notify the other members if the message was not already pinned
+    if (created) {
+      const update = { conversationId, messageId, pin, action: 'pin' };
+
+      socket.to(conversationId).emit('update_pin', update);
+      await recordConversationChange(conversationId, 'update_pin', update);
+    }
+
+    cb({ pin });
+  } catch (error) {
+    console.error('SOCKET_PIN_MESSAGE_EVENT_ERROR', error);
+    cb(formatAckError(error));
+  }
+};
+
+/**
+ * Handles unpinning a message received via socket.io.
+ * @param {object} socket - The socket object representing the client connection.
+ * @param {object} data - The data object containing the pin details.
+ *                        This object should have the following properties:
+ *                        - `conversationId`: A string representing the unique identifier of the conversation to which the message belongs.
+ *                        - `messageId`: A string representing the unique identifier of the message to unpin.
+ * @param {Function} cb - A callback function to be executed after the message is unpinned, or with an error object if it was refused.
+ */
+export const handleUnpinMessage = async (socket, data, cb) => {
+  try {
+    const { conversationId, messageId } = data;
+
+    // Messages deleted for everyone can still be unpinned
+    await findConversationMessage(socket, conversationId, messageId, false);
+    await checkPinPermission(socket, conversationId);
+
+    const removed = await db.PinnedMessage.destroy({
+      where: { conversationId, messageId }
+    });
+
+    if (!!removed) {
+      const update = { conversationId, messageId, action: 'unpin' };
+
+      socket.to(conversationId).emit('update_pin', update);
+      await recordConversationChange(conversationId, 'update_pin', update);
+    }
+
+    cb();
+  } catch (error) {
+    console.error('SOCKET_UNPIN_MESSAGE_EVENT_ERROR', error);
+    cb(formatAckError(error));
+  }
+};
+
+/**
+ * Returns the Redis key of the typing/recording indicators of a user in a conversation.
+ * The key is a hash with the activity of each device of the user, so each device has its own indicator.
+ *
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {string} userId - The ID of the user.
+ * @returns {string} The Redis key of the indicators.
+ */
+const typingKey = (conversationId, userId) =>
+  `typing:${conversationId}:${userId}`;
+
+/**
+ * Clears the typing/recording indicator of the device of the socket in a conversation and notifies the other members,
+ * unless another device of the user is still typing or recording in the conversation.
+ *
+ * @param {object} socket - The socket instance.
+ * @param {string} conversationId - The ID of the conversation.
+ */
+const stopTyping = async (socket, conversationId) => {
+  const { userId } = socket.user;
+  const key = typingKey(conversationId, userId);
+
+  clearTimeout(socket.typingTimers.get(conversationId));
+  socket.typingTimers.delete(conversationId);
+
+  const [[, stoppedActivity], , [, activities]] = await redisClient
+    .multi()
+    .hget(key, socket.deviceId)
+    .hdel(key, socket.deviceId)
+    .hvals(key)
+    .exec();
+
+  if (activities.length > 0) {
+    // Relay the activity of the other devices if it differs from the stopped one
+    if (!activities.includes(stoppedActivity))
+      socket.to(conversationId).emit('typing_start', {
+        conversationId,
+        userId,
+        activity: activities[0]
+      });
+
+    return;
+  }
+
+  socket.to(conversationId).emit('typing_stop', { conversationId, userId });
+};
+
+/**
+ * Handles the typing and audio recording indicators received via socket.io.
+ *
+ * The indicator of each device is stored in Redis and expires after TYPING_EXPIRE seconds unless the client keeps sending updates.
+ * Repeated updates with the same activity only refresh the expiry and are not relayed again, which throttles the
+ * events sent to the other members of the conversation.
+ * @param {object} socket - The socket object representing the client connection.
+ * @param {object} data - The data object containing the indicator details.
+ *                        This object should have the following properties:
+ *                        - `conversationId`: A string representing the unique identifier of the conversation the user is typing in.
+ * @param {string} activity - The activity of the user ('typing' or 'recording').
+ */
+export const handleTyping = async (socket, data, activity) => {
+  try {
+    const { conversationId } = data;
+    const { userId } = socket.user;
+
+    if (!socket.rooms.has(conversationId)) return;
+
+    const key = typingKey(conversationId, userId);
+
+    // Store the new activity of the device and retrieve its previous one. The hash expires with the
+    // indicators of all the devices, in case a server instance stops before clearing its own
+    const [[, previousActivity]] = await redisClient
+      .multi()
+      .hget(key, socket.deviceId)
+      .hset(key, socket.deviceId, activity)
+      .expire(key, TYPING_EXPIRE)
+      .exec();
+
+    // Reset the expiry timer of the indicator
+    clearTimeout(socket.typingTimers.get(conversationId));
+    socket.typingTimers.set(
+      conversationId,
+      setTimeout(
+        () =>
+          stopTyping(socket, conversationId).catch((error) =>
+            console.error('SOCKET_TYPING_EXPIRE_ERROR', error)
+          ),
+        TYPING_EXPIRE * 1000
+      )
+    );
+
+    // Only relay the indicator if the activity changed
+    if (previousActivity !== activity)
+      socket
+        .to(conversationId)
+        .emit('typing_start', { conversationId, userId, activity });
+  } catch (error) {
+    console.error('SOCKET_TYPING_EVENT_ERROR', error);
+  }
+};
+
+/**
+ * Handles the typing and audio recording indicators being stopped received via socket.io.
+ * @param {object} socket - The socket object representing the client connection.
+ * @param {object} data - The data object containing the indicator details.
+ *                        This object should have the following properties:
+ *                        - `conversationId`: A string representing the unique identifier of the conversation the user stopped typing in.
+ */
+export const handleTypingStop = async (socket, data) => {
+  try {
+    const { conversationId } = data;
+
+    // Ignore the event if there is no active indicator in the conversation
+    if (!socket.typingTimers.has(conversationId)) return;
+
+    await stopTyping(socket, conversationId);
+  } catch (error) {
+    console.error('SOCKET_TYPING_EVENT_ERROR', error);
   }
 };
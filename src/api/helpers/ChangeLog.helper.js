@@ -0,0 +1,70 @@
+import { redisClient } from '../../lib/redis-client.js';
+import db from '../models/index.js';
+
+// The maximum number of changes kept in the change log of a user (defaults to 1000)
+export const CHANGE_LOG_LENGTH =
+  parseInt(process.env.CHANGE_LOG_LENGTH) || 1000;
+
+// The number of days the change log of a user is kept after the last change (defaults to 7 days)
+export const CHANGE_LOG_TTL =
+  (parseInt(process.env.CHANGE_LOG_TTL) || 7) * 24 * 60 * 60;
+
+/**
+ * Returns the Redis key of the change log (stream) of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {string} The Redis key of the change log.
+ */
+export const changeLogKey = (userId) => `changes:${userId}`;
+
+/**
+ * Appends a change to the change log of each user, so that their devices that were offline can replay it when they reconnect.
+ *
+ * The change log is a Redis stream, the ID of each entry is used as the cursor of the change.
+ * The stream is capped to CHANGE_LOG_LENGTH entries and expires CHANGE_LOG_TTL after the last change.
+ *
+ * @param {Array<string>} userIds - The IDs of the users the change is recorded for.
+ * @param {string} event - The name of the socket event emitted for the change.
+ * @param {...any} args - The arguments emitted with the event.
+ * @returns {Promise<void>}
+ */
+export const recordChanges = async (userIds, event, ...args) => {
+  if (userIds.length === 0) return;
+
+  const pipeline = redisClient.pipeline();
+  const fields = ['event', event, 'args', JSON.stringify(args)];
+
+  new Set(userIds).forEach((userId) => {
+    const key = changeLogKey(userId);
+
+    pipeline.xadd(key, 'MAXLEN', CHANGE_LOG_LENGTH, '*', ...fields);
+    pipeline.expire(key, CHANGE_LOG_TTL);
+  });
+
+  await pipeline.exec();
+};
+
+/**
+ * Appends a change to the change log of every member of a conversation.
+ *
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {string} event - The name of the socket event emitted for the change.
+ * @param {...any} args - The arguments emitted with the event.
+ * @returns {Promise<void>}
+ */
+export const recordConversationChange = async (
+  conversationId,
+  event,
+  ...args
+) => {
+  const members = await db.Member.findAll({
+    where: { conversationId },
+    attributes: ['userId']
+  });
+
+  await recordChanges(
+    members.map((member) => member.userId),
+    event,
+    ...args
+  );
+};
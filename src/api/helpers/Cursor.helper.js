@@ -0,0 +1,31 @@
+/**
+ * Encodes the position of a row in a list ordered by date (then by ID) into an opaque page cursor.
+ *
+ * @param {Date} date - The date the list is ordered by.
+ * @param {string} id - The ID of the row, to order the rows with the same date.
+ * @returns {string} The opaque cursor.
+ */
+export const encodeCursor = (date, id) =>
+  Buffer.from(JSON.stringify([new Date(date).toISOString(), id])).toString(
+    'base64url'
+  );
+
+/**
+ * Decodes a page cursor encoded with encodeCursor.
+ *
+ * @param {string} cursor - The cursor to decode.
+ * @returns {{ date: string, id: string } | null} The position of the last row of the previous page, or null if the cursor is missing or invalid.
+ */
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+
+  try {
+    const [date, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+    if (isNaN(Date.parse(date)) || typeof id !== 'string') return null;
+
+    return { date, id };
+  } catch (err) {
+    return null;
+  }
+};
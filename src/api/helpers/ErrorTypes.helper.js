@@ -200,8 +200,8 @@ export class RateLimitError extends BaseError {
   /**
    * Create a RateLimitError.
    *
-   * @param {string} route - The route associated with the rate limit error.
-   * @example '/sign-in', '/email/verifiy'
+   * @param {string} route - The route (or socket event) associated with the rate limit error.
+   * @example '/sign-in', '/email/verifiy', 'send_message'
    */
   constructor(route) {
     super();
@@ -231,7 +231,7 @@ export class JoiValidationError extends BaseError {
    * Create a JoiValidationError.
    *
    * @param {Array} details - The validation error details.
-   * @param {string} source - The source of the validation error ('auth' or 'main').
+   * @param {string} source - The source of the validation error ('auth', 'main' or 'socket').
    */
   constructor(details, source) {
     super();
@@ -339,3 +339,171 @@ export class ChangePasswordError extends BaseError {
     };
   }
 }
+
+/**
+ * Represents an error that occurs when the user attempts to access a conversation they are not a member of.
+ *
+ * @extends BaseError
+ */
+export class ConversationAccessError extends BaseError {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Returns the response containing the status code and message.
+   *
+   * @returns {object} - The response containing the status code and message.
+   */
+  getResponse() {
+    return {
+      ...errorsJson.main.conversation.access,
+      status: errorsJson.status.forbidden
+    };
+  }
+}
+
+/**
+ * Represents an error that occurs when a member who is not an admin of the group attempts an action reserved to the admins.
+ *
+ * @extends BaseError
+ */
+export class GroupAdminPermissionError extends BaseError {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Returns the response containing the status code and message.
+   *
+   * @returns {object} - The response containing the status code and message.
+   */
+  getResponse() {
+    return {
+      ...errorsJson.main.conversation.admin,
+      status: errorsJson.status.forbidden
+    };
+  }
+}
+
+/**
+ * Represents an error that occurs when a message is not found in the conversation it was requested from.
+ *
+ * @extends BaseError
+ */
+export class MessageNotFoundError extends BaseError {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Returns the response containing the status code and message.
+   *
+   * @returns {object} - The response containing the status code and message.
+   */
+  getResponse() {
+    return {
+      ...errorsJson.main.message.not_found,
+      status: errorsJson.status.not_found
+    };
+  }
+}
+
+/**
+ * Represents an error that occurs when the user is not allowed to perform an action on a message.
+ *
+ * @extends BaseError
+ */
+export class MessagePermissionError extends BaseError {
+  /**
+   * Creates a new instance of MessagePermissionError.
+   *
+   * @param {string} action - The refused action, which can be either 'edit', 'delete' or 'receipts'.
+   */
+  constructor(action) {
+    super();
+    this.action = action;
+  }
+
+  /**
+   * Returns the response containing the status code and error message.
+   *
+   * @returns {object} The response containing the status code and error message.
+   */
+  getResponse() {
+    return {
+      message: errorsJson.main.message.permission[this.action],
+      status: errorsJson.status.forbidden
+    };
+  }
+}
+
+/**
+ * Represents an error that occurs when the sender attempts to edit a message after the edit window has passed.
+ *
+ * @extends BaseError
+ */
+export class MessageEditWindowError extends BaseError {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Returns the response containing the status code and message.
+   *
+   * @returns {object} - The response containing the status code and message.
+   */
+  getResponse() {
+    return {
+      ...errorsJson.main.message.edit_window,
+      status: errorsJson.status.forbidden
+    };
+  }
+}
+
+/**
+ * Represents an error that occurs when the sender attempts to delete a message for everyone after the delete window has passed.
+ *
+ * @extends BaseError
+ */
+export class MessageDeleteWindowError extends BaseError {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Returns the response containing the status code and message.
+   *
+   * @returns {object} - The response containing the status code and message.
+   */
+  getResponse() {
+    return {
+      ...errorsJson.main.message.delete_window,
+      status: errorsJson.status.forbidden
+    };
+  }
+}
+
+/**
+ * Represents an error that occurs when a message is sent with the ID of a different message that was already sent.
+ * Sending the same message again (same sender, conversation and content) is a retry and is not an error.
+ *
+ * @extends BaseError
+ */
+export class MessageConflictError extends BaseError {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Returns the response containing the status code and message.
+   *
+   * @returns {object} - The response containing the status code and message.
+   */
+  getResponse() {
+    return {
+      ...errorsJson.main.message.conflict,
+      status: errorsJson.status.conflict
+    };
+  }
+}
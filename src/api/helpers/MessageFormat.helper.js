@@ -0,0 +1,150 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+
+// The maximum number of characters of the quoted message content sent to the client
+const SNIPPET_LENGTH = 100;
+
+/**
+ * Sequelize include for the message that a message is replying to.
+ * Soft-deleted messages are included so the client can still render the quote as deleted.
+ */
+export const replyToInclude = {
+  model: db.Message,
+  as: 'replyTo',
+  attributes: ['messageId', 'content', 'fileUrl', 'deletedAt'],
+  include: {
+    model: db.User,
+    as: 'sender',
+    attributes: ['userId', 'username', 'deletedAt'],
+    paranoid: false
+  },
+  required: false,
+  paranoid: false
+};
+
+/**
+ * Formats the quoted message of a reply into a snippet.
+ *
+ * The content is cut down to a short preview, and the content and file of a deleted message are never sent.
+ *
+ * @param {object} replyTo - The quoted message (Sequelize instance or plain object).
+ * @returns {{ messageId: string, sender: object, content: string | null, hasFile: boolean, isDeleted: boolean } | null}
+ * The snippet of the quoted message, or null if the message is not a reply.
+ */
+export const formatReplySnippet = (replyTo) => {
+  if (!replyTo) return null;
+
+  const { messageId, content, fileUrl, deletedAt, sender } =
+    replyTo.dataValues ?? replyTo;
+
+  const isDeleted = !!deletedAt;
+
+  return {
+    messageId,
+    sender: !!sender
+      ? {
+          userId: sender.userId,
+          username: sender.username,
+          deletedAt: sender.deletedAt
+        }
+      : null,
+    content:
+      !isDeleted && !!content
+        ? content.length > SNIPPET_LENGTH
+          ? content.slice(0, SNIPPET_LENGTH) + '…'
+          : content
+        : null,
+    hasFile: !isDeleted && !!fileUrl,
+    isDeleted
+  };
+};
+
+/**
+ * Sequelize include for the reactions of a message.
+ */
+export const reactionsInclude = {
+  model: db.MessageReaction,
+  as: 'reactions',
+  attributes: ['emoji', 'userId'],
+  required: false
+};
+
+/**
+ * Aggregates the reactions of a message by emoji.
+ *
+ * @param {Array<object>} reactions - The reactions of the message (Sequelize instances or plain objects).
+ * @param {string} currentUserId - The ID of the current user.
+ * @returns {Array<{ emoji: string, count: number, reactedByMe: boolean }>} The reaction counts in the order each emoji was first found.
+ */
+export const formatReactions = (reactions, currentUserId) => {
+  if (!reactions) return [];
+
+  const grouped = reactions.reduce((acc, reaction) => {
+    const { emoji, userId } = reaction.dataValues ?? reaction;
+
+    if (!acc.has(emoji))
+      acc.set(emoji, { emoji, count: 0, reactedByMe: false });
+
+    const group = acc.get(emoji);
+    group.count += 1;
+    if (userId === currentUserId) group.reactedByMe = true;
+
+    return acc;
+  }, new Map());
+
+  return Array.from(grouped.values());
+};
+
+/**
+ * Builds the where condition on the message ID that excludes the messages a user deleted for themselves.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {object} The Sequelize condition to use on the messageId column.
+ */
+export const notHiddenFor = (userId) => ({
+  [Op.notIn]: db.sequelize.literal(
+    `(SELECT "messageId" FROM hiddenmessages WHERE "userId" = ${db.sequelize.escape(
+      userId
+    )})`
+  )
+});
+
+/**
+ * Sequelize includes for the pinned message and the user that pinned it.
+ * The pins of messages deleted for everyone are left out.
+ */
+export const pinIncludes = [
+  {
+    model: db.Message,
+    as: 'message',
+    attributes: ['messageId', 'content', 'fileUrl', 'sequence', 'deletedAt'],
+    include: {
+      model: db.User,
+      as: 'sender',
+      attributes: ['userId', 'username', 'deletedAt'],
+      paranoid: false
+    },
+    required: true
+  },
+  {
+    model: db.User,
+    as: 'pinner',
+    attributes: ['userId', 'username', 'image', 'deletedAt'],
+    paranoid: false
+  }
+];
+
+/**
+ * Formats a pin of a conversation, with a snippet of the pinned message.
+ *
+ * @param {object} pin - The pin, including the pinned message and the user that pinned it (see pinIncludes).
+ * @returns {{ messageId: string, sequence: number, message: object, pinnedBy: object | null, pinnedAt: string }}
+ * The formatted pin, with the sequence of the message to jump to it.
+ */
+export const formatPin = (pin) => ({
+  messageId: pin.messageId,
+  sequence: pin.message.sequence,
+  message: formatReplySnippet(pin.message),
+  pinnedBy: pin.pinner ?? null,
+  pinnedAt: pin.pinnedAt
+});
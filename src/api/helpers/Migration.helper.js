@@ -0,0 +1,105 @@
+import db from '../models/index.js';
+
+/**
+ * Adds the columns of the models that are missing from their existing tables.
+ *
+ * sync() only creates the missing tables, so the columns added to the models after a table was created
+ * (e.g. the sequence numbers of the messages) are added here, with their default value for the existing rows.
+ *
+ * @param {string[]} tables - The names of the existing tables.
+ * @param {object} transaction - The transaction to run the queries in.
+ * @returns {Promise<void>}
+ */
+const addMissingColumns = async (tables, transaction) => {
+  const queryInterface = db.sequelize.getQueryInterface();
+
+  for (const model of Object.values(db.sequelize.models)) {
+    const tableName = model.getTableName();
+
+    // The missing tables are created by sync()
+    if (!tables.includes(tableName)) continue;
+
+    const columns = await queryInterface.describeTable(tableName, {
+      transaction
+    });
+
+    for (const attribute of Object.values(model.rawAttributes)) {
+      if (attribute.type.key === 'VIRTUAL' || !!columns[attribute.field])
+        continue;
+
+      await queryInterface.addColumn(tableName, attribute.field, attribute, {
+        transaction
+      });
+    }
+  }
+};
+
+/**
+ * Assigns sequence numbers to the messages saved before the messages were numbered, and updates the last sequence of their conversation.
+ *
+ * The messages without a sequence are numbered by sent date after the last sequence of their conversation,
+ * so the sequences already assigned (and the cursors the clients keep) do not change.
+ *
+ * @param {string[]} tables - The names of the existing tables.
+ * @param {object} transaction - The transaction to run the queries in.
+ * @returns {Promise<void>}
+ */
+const backfillSequences = async (tables, transaction) => {
+  // The tables of a new database are created by sync(), with no messages to number
+  if (
+    !tables.includes(db.Message.getTableName()) ||
+    !tables.includes(db.Conversation.getTableName())
+  )
+    return;
+
+  await db.sequelize.query(
+    `
+      UPDATE messages AS m SET "sequence" = numbered."sequence"
+      FROM (
+        SELECT unnumbered."messageId", GREATEST(
+          COALESCE(c."lastSequence", 0),
+          COALESCE((SELECT MAX("sequence") FROM messages WHERE "conversationId" = c."conversationId"), 0)
+        ) + ROW_NUMBER() OVER (
+          PARTITION BY unnumbered."conversationId"
+          ORDER BY unnumbered."sentAt" ASC, unnumbered."messageId" ASC
+        ) AS "sequence"
+        FROM messages AS unnumbered
+        JOIN conversations AS c ON c."conversationId" = unnumbered."conversationId"
+        WHERE unnumbered."sequence" IS NULL
+      ) AS numbered
+      WHERE m."messageId" = numbered."messageId";
+    `,
+    { transaction }
+  );
+
+  await db.sequelize.query(
+    `
+      UPDATE conversations AS c SET "lastSequence" = latest."sequence"
+      FROM (
+        SELECT "conversationId", MAX("sequence") AS "sequence"
+        FROM messages
+        GROUP BY "conversationId"
+      ) AS latest
+      WHERE c."conversationId" = latest."conversationId"
+      AND c."lastSequence" < latest."sequence";
+    `,
+    { transaction }
+  );
+};
+
+/**
+ * Migrates an existing database to the current models, before sync() creates the missing tables and indexes.
+ *
+ * The migration can be run any number of times, it only changes what is not migrated yet.
+ *
+ * @returns {Promise<void>}
+ */
+export const migrate = async () =>
+  db.sequelize.transaction(async (transaction) => {
+    const tables = await db.sequelize
+      .getQueryInterface()
+      .showAllTables({ transaction });
+
+    await addMissingColumns(tables, transaction);
+    await backfillSequences(tables, transaction);
+  });
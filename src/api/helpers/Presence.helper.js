@@ -0,0 +1,168 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { io } from '../../app.js';
+import { redisClient } from '../../lib/redis-client.js';
+
+/**
+ * Filters the users that are online, meaning at least one of their devices is connected to any of the server instances.
+ *
+ * @param {Array<string>} userIds - The IDs of the users to filter.
+ * @returns {Promise<Array<string>>} A promise resolving to the IDs of the online users.
+ */
+export const filterOnline = async (userIds) => {
+  if (userIds.length === 0) return [];
+
+  // Fetch the sockets in the rooms of the users across all the server instances
+  const sockets = await io.in(userIds).fetchSockets();
+
+  const onlineIds = new Set(sockets.map((socket) => socket.data.userId));
+
+  return userIds.filter((userId) => onlineIds.has(userId));
+};
+
+/**
+ * Returns the Redis key of the number of connected sockets (devices) of a user, across all the server instances.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {string} The Redis key of the counter.
+ */
+const onlineDevicesKey = (userId) => `online_devices:${userId}`;
+
+/**
+ * Counts a new connected socket (device) of a user.
+ *
+ * The counter is incremented atomically, so only one of the sockets connecting at the same time on different server instances
+ * sees the user coming online.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<boolean>} A promise resolving to true if it is the first connected socket of the user (the user came online).
+ */
+export const addOnlineDevice = async (userId) =>
+  (await redisClient.incr(onlineDevicesKey(userId))) === 1;
+
+/**
+ * Stops counting a disconnected socket (device) of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<boolean>} A promise resolving to true if it was the last connected socket of the user (the user went offline).
+ */
+export const removeOnlineDevice = async (userId) => {
+  const count = await redisClient.decr(onlineDevicesKey(userId));
+
+  if (count > 0) return false;
+
+  // Do not keep the counters of the offline users
+  await redisClient.del(onlineDevicesKey(userId));
+
+  return count === 0;
+};
+
+/**
+ * Checks whether at least one socket (device) of a user is connected to any of the server instances.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<boolean>} A promise resolving to true if the user is online.
+ */
+export const isUserOnline = async (userId) =>
+  Number(await redisClient.get(onlineDevicesKey(userId))) > 0;
+
+/**
+ * Returns the IDs of the users allowed to receive the presence (online status and last seen) of a user.
+ *
+ * Presence is shared with the other user of one-to-one conversations, the other members of group conversations
+ * and the users that added the user as a contact, filtered by the user's privacy setting:
+ * - 'everyone': All of them.
+ * - 'contacts': Only the ones the user added as a contact.
+ * - 'nobody': None of them.
+ *
+ * @param {object} user - The cached user data (see fetchUserData).
+ * @returns {Array<string>} The IDs of the users allowed to receive the presence.
+ */
+export const getPresenceAudience = (user) => {
+  const {
+    presencePrivacy = 'everyone',
+    singleConversationUserIds = [],
+    groupMemberIds = [],
+    otherContactIds = [],
+    contactIds = []
+  } = user;
+
+  if (presencePrivacy === 'nobody') return [];
+
+  const audience = Array.from(
+    new Set([
+      ...singleConversationUserIds,
+      ...groupMemberIds,
+      ...otherContactIds
+    ])
+  );
+
+  return presencePrivacy === 'contacts'
+    ? audience.filter((userId) => contactIds.includes(userId))
+    : audience;
+};
+
+/**
+ * Filters the users whose presence can be seen by the viewer based on each user's privacy setting.
+ *
+ * @param {Array<string>} userIds - The IDs of the users to filter.
+ * @param {string} viewerId - The ID of the user viewing the presence.
+ * @returns {Promise<Array<string>>} A promise resolving to the IDs of the users whose presence is visible to the viewer.
+ */
+export const filterVisiblePresence = async (userIds, viewerId) => {
+  if (userIds.length === 0) return [];
+
+  const users = await db.User.findAll({
+    where: { userId: { [Op.in]: userIds } },
+    attributes: ['userId', 'presencePrivacy']
+  });
+
+  const contactsOnlyIds = users
+    .filter((user) => user.presencePrivacy === 'contacts')
+    .map((user) => user.userId);
+
+  // The users that only share their presence with their contacts and have the viewer as a contact
+  const addedViewerIds =
+    contactsOnlyIds.length > 0
+      ? (
+          await db.Contact.findAll({
+            where: {
+              addedById: { [Op.in]: contactsOnlyIds },
+              contactId: viewerId
+            },
+            attributes: ['addedById']
+          })
+        ).map((contact) => contact.addedById)
+      : [];
+
+  return users
+    .filter(
+      (user) =>
+        user.presencePrivacy === 'everyone' ||
+        addedViewerIds.includes(user.userId)
+    )
+    .map((user) => user.userId);
+};
+
+/**
+ * Removes the last seen date from the profiles of the conversation members that do not share their presence with the viewer.
+ *
+ * @param {Array<object>} members - The member instances including their profile.
+ * @param {string} viewerId - The ID of the user viewing the members.
+ * @returns {Promise<void>}
+ */
+export const hideLastSeen = async (members, viewerId) => {
+  const userIds = new Set(members.map((member) => member.userId));
+  userIds.delete(viewerId);
+
+  const visibleIds = await filterVisiblePresence(Array.from(userIds), viewerId);
+
+  members.forEach((member) => {
+    if (
+      !!member.profile &&
+      member.userId !== viewerId &&
+      !visibleIds.includes(member.userId)
+    )
+      member.profile.setDataValue('lastSeenAt', null);
+  });
+};
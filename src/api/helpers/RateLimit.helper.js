@@ -0,0 +1,62 @@
+// The limits of the socket events per user, counted separately for each conversation when the event targets one (expire in seconds)
+export const socketEventLimits = {
+  send_message: { count: 30, expire: 60 },
+  send_file: { count: 10, expire: 60 * 5 }, // Messages with a file, on top of the send_message limit
+  forward_message: { count: 10, expire: 60 },
+  update_status: { count: 120, expire: 60 },
+  edit_message: { count: 20, expire: 60 },
+  delete_message: { count: 30, expire: 60 },
+  add_reaction: { count: 60, expire: 60 },
+  remove_reaction: { count: 60, expire: 60 },
+  pin_message: { name: 'pin', count: 20, expire: 60 },
+  unpin_message: { name: 'pin', count: 20, expire: 60 },
+  star_message: { name: 'star', count: 60, expire: 60 },
+  unstar_message: { name: 'star', count: 60, expire: 60 },
+  typing_start: { name: 'typing', count: 60, expire: 60 },
+  recording_audio: { name: 'typing', count: 60, expire: 60 },
+  typing_stop: { name: 'typing', count: 60, expire: 60 },
+  sync: { count: 30, expire: 60 },
+  mark_read: { count: 60, expire: 60 }
+};
+
+/**
+ * Returns the limits an event is counted against: its own limit, and the file limit for the messages with a file.
+ *
+ * @param {string} event - The name of the socket event.
+ * @param {object} data - The data sent with the event.
+ * @returns {Array<string>} The names of the limited events (keys of socketEventLimits) the event is counted against.
+ */
+export const getLimitedEvents = (event, data) => [
+  event,
+  ...(event === 'send_message' && !!data?.file ? ['send_file'] : [])
+];
+
+/**
+ * Returns the suffix of the counter keys of an event, to count it separately for the conversation it targets.
+ *
+ * The event is only counted per conversation for the conversations the user is a member of (the sockets join their rooms),
+ * so sending unknown conversation IDs falls back to the limit of the user.
+ *
+ * @param {object} data - The data sent with the event.
+ * @param {Set<string>} rooms - The rooms joined by the socket.
+ * @returns {string} The suffix of the counter keys (':' followed by the conversation ID), or an empty string.
+ */
+export const getSocketRateScope = (data, rooms) => {
+  const conversationId = data?.conversationId;
+
+  return typeof conversationId === 'string' && rooms.has(conversationId)
+    ? ':' + conversationId
+    : '';
+};
+
+/**
+ * Finds the first limited event whose counter exceeds its limit.
+ *
+ * @param {Array<string>} limitedEvents - The names of the limited events (see getLimitedEvents).
+ * @param {Array<number>} counters - The counter of each limited event, in the same order.
+ * @returns {string | undefined} The name of the exceeded event, or undefined if no limit is exceeded.
+ */
+export const findExceededEvent = (limitedEvents, counters) =>
+  limitedEvents.find(
+    (limitedEvent, i) => counters[i] > socketEventLimits[limitedEvent].count
+  );
@@ -0,0 +1,126 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { io } from '../../app.js';
+import { recordChanges } from './ChangeLog.helper.js';
+
+/**
+ * Formats the read state of a member in a conversation.
+ *
+ * @param {object} member - The member instance, including its read state.
+ * @returns {{ conversationId: string, unreadCount: number, lastReadMessageId: string | null, isMarkedUnread: boolean }} The read state.
+ */
+export const formatReadState = (member) => ({
+  conversationId: member.conversationId,
+  unreadCount: member.unreadCount,
+  lastReadMessageId: member.lastReadMessageId,
+  isMarkedUnread: member.isMarkedUnread
+});
+
+/**
+ * Marks messages as seen by a user and updates the unread counter and last read message of the user in each conversation.
+ *
+ * Only the messages not seen yet are counted, so marking the same messages from several devices at once
+ * decrements the unread counter once. Seeing messages also clears the unread flag set by the user, and sets
+ * the delivery date of the messages that were not delivered yet.
+ *
+ * @param {string} userId - The ID of the user that saw the messages.
+ * @param {Array<string>} messageIds - The IDs of the messages seen.
+ * @param {Date} seenAt - The date the messages were seen.
+ * @returns {Promise<Array<{ conversationId: string, unreadCount: number, lastReadMessageId: string | null, isMarkedUnread: boolean }>>}
+ * A promise resolving to the updated read state of the user in each conversation the seen messages belong to.
+ */
+export const markMessagesSeen = async (userId, messageIds, seenAt) =>
+  db.sequelize.transaction(async (transaction) => {
+    // A message seen without a delivery confirmation (e.g. marked as read in bulk) was delivered when it was seen
+    const [, seenStatus] = await db.MessageStatus.update(
+      {
+        seenAt,
+        deliverAt: db.sequelize.literal(
+          `COALESCE("deliverAt", ${db.sequelize.escape(seenAt)})`
+        )
+      },
+      {
+        where: {
+          userId,
+          messageId: { [Op.in]: messageIds },
+          seenAt: null
+        },
+        returning: true,
+        transaction
+      }
+    );
+
+    if (seenStatus.length === 0) return [];
+
+    const messages = await db.Message.findAll({
+      where: {
+        messageId: { [Op.in]: seenStatus.map((status) => status.messageId) }
+      },
+      attributes: ['messageId', 'conversationId', 'sequence'],
+      paranoid: false,
+      transaction
+    });
+
+    // Group the seen messages by conversation, keeping the newest one
+    const conversations = messages.reduce((acc, message) => {
+      const { messageId, conversationId, sequence } = message;
+      const seen = acc.get(conversationId) ?? { count: 0, newest: null };
+
+      seen.count += 1;
+      if (
+        sequence !== null &&
+        (!seen.newest || sequence > seen.newest.sequence)
+      )
+        seen.newest = { messageId, sequence };
+
+      return acc.set(conversationId, seen);
+    }, new Map());
+
+    const readStates = [];
+    for (const [conversationId, { count, newest }] of conversations) {
+      const [, [member]] = await db.Member.update(
+        {
+          unreadCount: db.sequelize.literal(
+            `GREATEST("unreadCount" - ${db.sequelize.escape(count)}, 0)`
+          ),
+          isMarkedUnread: false,
+          // Only move the last read message forward, the messages can be seen out of order
+          ...(!!newest && {
+            lastReadMessageId: db.sequelize.literal(`
+              CASE WHEN COALESCE((
+                SELECT "sequence" FROM messages WHERE "messageId" = "members"."lastReadMessageId"
+              ), 0) < ${db.sequelize.escape(newest.sequence)}
+              THEN ${db.sequelize.escape(newest.messageId)}::uuid
+              ELSE "lastReadMessageId" END
+            `)
+          })
+        },
+        { where: { conversationId, userId }, returning: true, transaction }
+      );
+
+      if (!member) continue;
+
+      readStates.push(formatReadState(member));
+    }
+
+    return readStates;
+  });
+
+/**
+ * Pushes the read state of a user in conversations to all the devices of the user, and records it for the devices that are offline.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<object>} readStates - The read state in each conversation.
+ * @returns {Promise<void>}
+ */
+export const pushReadStates = async (userId, readStates) => {
+  readStates.forEach((readState) =>
+    io.to(userId).emit('update_unread', readState)
+  );
+
+  await Promise.all(
+    readStates.map((readState) =>
+      recordChanges([userId], 'update_unread', readState)
+    )
+  );
+};
@@ -0,0 +1,34 @@
+// The text search configuration of the messages, the 'simple' configuration does not stem the words
+// so the search works the same for the messages written in any language
+export const SEARCH_CONFIG = 'simple';
+
+// The options of the highlighted snippets of the search results, the matched words are wrapped in <mark> tags
+const HEADLINE_OPTIONS =
+  'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" ... "';
+
+/**
+ * Returns the SQL of the text search query parsed from the search terms of the user.
+ *
+ * The terms support the web search syntax: quoted phrases, OR and - to exclude a word.
+ *
+ * @param {object} sequelize - The Sequelize instance, used to escape the terms.
+ * @param {string} terms - The search terms of the user.
+ * @returns {string} The SQL of the text search query.
+ */
+export const searchQuerySql = (sequelize, terms) =>
+  `websearch_to_tsquery('${SEARCH_CONFIG}', ${sequelize.escape(terms)})`;
+
+/**
+ * Returns the SQL of the highlighted snippet of a text matching a text search query.
+ *
+ * The text is HTML escaped before being highlighted, so the snippet can be displayed as HTML.
+ *
+ * @param {object} sequelize - The Sequelize instance, used to escape the options.
+ * @param {string} column - The SQL of the column containing the text.
+ * @param {string} query - The SQL of the text search query.
+ * @returns {string} The SQL of the snippet.
+ */
+export const headlineSql = (sequelize, column, query) =>
+  `ts_headline('${SEARCH_CONFIG}', replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), ${query}, ${sequelize.escape(
+    HEADLINE_OPTIONS
+  )})`;
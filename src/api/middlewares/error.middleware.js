@@ -3,6 +3,30 @@
 
 import errorsJson from '../../config/errors.json' assert { type: 'json' };
 
+/**
+ * Formats an error into the payload sent back through the acknowledgement callback of a socket event.
+ *
+ * Mirrors the error middleware below: errors with a getResponse method expose their name and message,
+ * any other error is reported as unexpected.
+ *
+ * @param {Error} error - The error thrown while handling the event.
+ * @returns {{ error: { name?: string, type?: string, message: string } }} The acknowledgement payload.
+ */
+export const formatAckError = (error) => {
+  if (!!error.getResponse) {
+    const { message } = error.getResponse();
+
+    return { error: { name: error.name, message } };
+  }
+
+  return {
+    error: {
+      type: 'UnexpectedError',
+      message: errorsJson.server.unexpected.message
+    }
+  };
+};
+
 /**
  * Error middleware for handling and formatting errors in the application.
  */
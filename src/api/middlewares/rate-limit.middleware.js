@@ -1,5 +1,12 @@
 import { redisClient } from '../../lib/redis-client.js';
 import { RateLimitError } from '../helpers/ErrorTypes.helper.js';
+import {
+  findExceededEvent,
+  getLimitedEvents,
+  getSocketRateScope,
+  socketEventLimits
+} from '../helpers/RateLimit.helper.js';
+import { formatAckError } from './error.middleware.js';
 
 const ipRouteLimits = {
   '/register': { count: 5, expire: 60 * 5 },
@@ -157,3 +164,98 @@ export const userIdRateLimiter = async (req, res, next) => {
 
   next();
 };
+
+/**
+ * Socket Rate Limiter Middleware
+ *
+ * This function returns a socket middleware that limits the number of events of each type a user can emit
+ * within a certain time frame (see socketEventLimits), in each conversation for the events that target one.
+ *
+ * If a limit is exceeded, the event is not handled and a rate limit error is sent back through its acknowledgement
+ * callback, or with a 'rate_limit_error' event for the events that do not have one.
+ *
+ * @param {object} socket - The socket instance.
+ * @returns {Function} The socket middleware, called with the packet of each event.
+ */
+export const socketRateLimiter = (socket) => async (packet, next) => {
+  const [event, data] = packet;
+
+  if (!socketEventLimits[event]) return next();
+
+  try {
+    const { userId } = socket.user;
+
+    const limitedEvents = getLimitedEvents(event, data);
+    const scope = getSocketRateScope(data, socket.rooms);
+
+    const multi = redisClient.multi();
+
+    limitedEvents.forEach((limitedEvent) => {
+      const { name = limitedEvent, expire } = socketEventLimits[limitedEvent];
+
+      // Generate a unique identifier based on the event, user ID and conversation ID (if any)
+      const uniqueIdentifier = `socket_rate:${name}:${userId}${scope}`;
+
+      // Start the time frame on the first event, then increment the counter
+      multi.set(uniqueIdentifier, 0, 'EX', expire, 'NX').incr(uniqueIdentifier);
+    });
+
+    const response = await multi.exec();
+
+    // The counters are the results of the INCR commands, after each SET
+    const exceededEvent = findExceededEvent(
+      limitedEvents,
+      limitedEvents.map((limitedEvent, i) => response[i * 2 + 1][1])
+    );
+
+    if (!exceededEvent) return next();
+
+    const { name = exceededEvent } = socketEventLimits[exceededEvent];
+    const ack = formatAckError(new RateLimitError(name));
+
+    const cb = packet[packet.length - 1];
+    if (typeof cb === 'function') return cb(ack);
+
+    socket.emit('rate_limit_error', { event, ...ack });
+  } catch (err) {
+    console.error('SOCKET_RATE_LIMIT_ERROR', err);
+    next();
+  }
+};
+
+/**
+ * Slow Mode Limiter
+ *
+ * Limits a member of a group to one message every `interval` seconds when the admins of the group enabled slow mode.
+ *
+ * @param {string} conversationId - The ID of the group conversation.
+ * @param {string} userId - The ID of the member sending a message.
+ * @param {number} interval - The slow mode interval of the group in seconds.
+ * @returns {Promise<void>}
+ * @throws {RateLimitError} If the member already sent a message within the interval.
+ */
+export const slowModeLimiter = async (conversationId, userId, interval) => {
+  const uniqueIdentifier = `slow_mode:${conversationId}:${userId}`;
+
+  // Only set if the member did not send a message within the interval
+  const isAllowed = await redisClient.set(
+    uniqueIdentifier,
+    1,
+    'EX',
+    interval,
+    'NX'
+  );
+
+  if (!isAllowed) throw new RateLimitError('slow_mode');
+};
+
+/**
+ * Releases the slow mode slot taken by slowModeLimiter, when the message it was taken for could not be sent.
+ *
+ * @param {string} conversationId - The ID of the group conversation.
+ * @param {string} userId - The ID of the member.
+ * @returns {Promise<void>}
+ */
+export const releaseSlowMode = async (conversationId, userId) => {
+  await redisClient.del(`slow_mode:${conversationId}:${userId}`);
+};
@@ -1,36 +1,71 @@
 import Joi from 'joi';
+import { formatAckError } from './error.middleware.js';
 
 /**
  * Returns middlware that validates the user's data.
  *
  * @param {Joi.schema} schema - The Joi schema to validate the request
  * object against.
+ * @param {string} [source='body'] - The part of the request to validate ('body' or 'query').
  * @returns {Function} The next middleware in the chain.
  */
 const validation =
-  (schema) =>
+  (schema, source = 'body') =>
   /**
    * Validates the user's credentials from the request object against Joi schema.
    *
    * If the validation passes:
-   * - We update the req.body to the stripped values(removes unnecessary data from the object).
+   * - We update the req.body (or req.query) to the stripped values(removes unnecessary data from the object).
    * - The next() function is called.
    *
    * If the validation fails:
    * - The next() function is called passing an error object.
    */
   async (req, res, next) => {
-    const body = req.body;
+    const data = req[source];
 
     try {
-      const { error, value } = schema.validate(body);
+      const { error, value } = schema.validate(data);
       if (error) throw error;
 
-      req.body = value;
+      req[source] = value;
       next();
     } catch (err) {
       next(err);
     }
   };
 
+/**
+ * Returns a socket event listener that validates the event data before calling the listener.
+ *
+ * @param {Joi.schema} schema - The Joi schema to validate the event data against.
+ * @param {Function} listener - The listener called with the validated data and the acknowledgement callback of the event.
+ * @returns {Function} The socket event listener.
+ */
+export const socketValidation =
+  (schema, listener) =>
+  /**
+   * Validates the event data against the Joi schema.
+   *
+   * The acknowledgement callback is always the last argument of the event. If the client did not send one
+   * (or sent no data at all), it is replaced with a no-op so the handlers can always acknowledge the event.
+   *
+   * If the validation passes:
+   * - The listener is called with the stripped values(removes unnecessary data from the object).
+   *
+   * If the validation fails:
+   * - The validation errors are sent back through the acknowledgement callback of the event,
+   *   and the listener is not called.
+   */
+  (...args) => {
+    const cb =
+      typeof args[args.length - 1] === 'function' ? args.pop() : () => {};
+
+    const { error, value } = schema.validate(args[0]);
+
+    if (error) return cb(formatAckError(error));
+
+    return listener(value, cb);
+  };
+
 export default validation;
@@ -18,6 +18,10 @@ export default (sequelize, DataTypes) => {
    *   - Used to order the conversations.
    *   - Used to filter conversations if there were no previous messages sent in the conversation
    *     as described by the createdBy field.
+   *
+   * @property {number} lastSequence - The sequence number of the last message sent in the conversation.
+   * @property {number} slowModeInterval - The number of seconds a member has to wait between two messages in a group (0 when slow mode is off).
+   *   - Set by the admins of the group, who are not limited by it.
    */
 
   class Conversation extends Model {}
@@ -59,6 +63,16 @@ export default (sequelize, DataTypes) => {
       lastMessageAt: {
         type: DataTypes.DATE,
         allowNull: true
+      },
+      lastSequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      slowModeInterval: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
       }
     },
     {
@@ -97,6 +111,12 @@ export default (sequelize, DataTypes) => {
       foreignKey: 'conversationId',
       onDelete: 'CASCADE'
     });
+
+    Conversation.hasMany(models.PinnedMessage, {
+      as: 'pins',
+      foreignKey: 'conversationId',
+      onDelete: 'CASCADE'
+    });
   };
 
   return Conversation;
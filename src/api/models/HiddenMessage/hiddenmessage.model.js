@@ -0,0 +1,64 @@
+import { Model } from 'sequelize';
+import { format } from 'date-fns';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * @class HiddenMessage
+   * Represents a message that a user deleted only from their own view (delete for me).
+   *
+   * @property {string} userId - The unique ID of the user that hid the message.
+   * @property {string} messageId - The unique ID of the hidden message.
+   * @property {Date} hiddenAt - The date when the user hid the message.
+   */
+  class HiddenMessage extends Model {}
+
+  HiddenMessage.init(
+    {
+      userId: {
+        type: DataTypes.UUID,
+        primaryKey: true
+      },
+      messageId: {
+        type: DataTypes.UUID,
+        primaryKey: true
+      },
+      hiddenAt: {
+        type: DataTypes.DATE,
+        defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+        get() {
+          let date = this.getDataValue('hiddenAt');
+
+          return !!date && date instanceof Date
+            ? format(date, 'd MMMM yyyy, h:mm a')
+            : date;
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'HiddenMessage',
+      tableName: 'hiddenmessages',
+      timestamps: false,
+      indexes: [
+        {
+          unique: true,
+          fields: ['userId', 'messageId'],
+          name: 'idx_hiddenmessage_userId_messageId',
+          type: 'BTREE'
+        }
+      ]
+    }
+  );
+
+  HiddenMessage.associate = (models) => {
+    HiddenMessage.belongsTo(models.User, {
+      foreignKey: 'userId',
+      onDelete: 'CASCADE'
+    });
+    HiddenMessage.belongsTo(models.Message, {
+      foreignKey: 'messageId',
+      onDelete: 'CASCADE'
+    });
+  };
+  return HiddenMessage;
+};
@@ -10,6 +10,9 @@ export default (sequelize, DataTypes) => {
    * @property {string} conversationId - The unique ID of the conversation.
    * @property {Date} joinedAt - The date when the user was associated with the conversation.
    * @property {boolean} isAdmin - Indicates if the user is an admin in the conversation.
+   * @property {number} unreadCount - The number of messages of the conversation the user has not seen yet.
+   * @property {string} lastReadMessageId - The unique ID of the newest message the user has seen (optional).
+   * @property {boolean} isMarkedUnread - Indicates if the user marked the conversation as unread.
    */
   class Member extends Model {}
 
@@ -37,6 +40,20 @@ export default (sequelize, DataTypes) => {
       isAdmin: {
         type: DataTypes.BOOLEAN,
         defaultValue: false
+      },
+      unreadCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastReadMessageId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      isMarkedUnread: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
       }
     },
     {
@@ -44,6 +61,12 @@ export default (sequelize, DataTypes) => {
       modelName: 'Member',
       tableName: 'members',
       timestamps: false,
+      // The read state of a member is private to the member, so it is not sent with the members of a conversation
+      defaultScope: {
+        attributes: {
+          exclude: ['unreadCount', 'lastReadMessageId', 'isMarkedUnread']
+        }
+      },
       indexes: [
         {
           unique: true,
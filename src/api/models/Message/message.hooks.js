@@ -0,0 +1,33 @@
+import { SEARCH_CONFIG } from '../../helpers/Search.helper.js';
+
+export default (Message, sequelize) => {
+  // Keep the search vector of the messages in sync with their content with a trigger,
+  // so it is also updated by the bulk inserts and updates that do not run the model hooks
+  Message.afterSync(async () => {
+    await sequelize.query(`
+      CREATE OR REPLACE FUNCTION messages_search_vector() RETURNS trigger AS $$
+      BEGIN
+        NEW."searchVector" := to_tsvector('${SEARCH_CONFIG}', COALESCE(NEW."content", ''));
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await sequelize.query(
+      'DROP TRIGGER IF EXISTS messages_search_vector ON messages;'
+    );
+
+    await sequelize.query(`
+      CREATE TRIGGER messages_search_vector
+      BEFORE INSERT OR UPDATE OF "content" ON messages
+      FOR EACH ROW EXECUTE FUNCTION messages_search_vector();
+    `);
+
+    // Index the messages sent before the search vector was added
+    await sequelize.query(`
+      UPDATE messages
+      SET "searchVector" = to_tsvector('${SEARCH_CONFIG}', "content")
+      WHERE "searchVector" IS NULL AND "content" IS NOT NULL;
+    `);
+  });
+};
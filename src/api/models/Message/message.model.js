@@ -8,9 +8,15 @@ export default (sequelize, DataTypes) => {
    * @property {string} messageId - The unique ID of the message.
    * @property {string} content - Contains the message content if any.
    * @property {string} fileUrl - Contains the image URL if any.
-   * @property {Date} sentAt - The date when the message was sent.
+   * @property {string} replyToMessageId - The unique ID of the message this message is replying to (optional).
+   * @property {number} revisionCount - The number of times the message was edited.
+   * @property {boolean} isForwarded - Whether the message is a copy of a message forwarded from another conversation.
+   * @property {number} forwardCount - The number of times the content was forwarded before reaching this message (0 if not forwarded).
+   * @property {number} sequence - The position of the message in the conversation, assigned by the server (starting at 1).
+   * @property {Date} sentAt - The date when the message was received by the server.
    * @property {Date} updatedAt - The date when the message was last updated.
    * @property {Date} deletedAt - The date when the message was soft deleted.
+   * @property {string} searchVector - The text search vector of the content, kept up to date by a trigger (see message.hooks.js).
    */
   class Message extends Model {}
 
@@ -28,6 +34,29 @@ export default (sequelize, DataTypes) => {
         type: DataTypes.STRING,
         allowNull: true
       },
+      replyToMessageId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      revisionCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      isForwarded: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      forwardCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      sequence: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
       sentAt: {
         type: DataTypes.DATE,
         get() {
@@ -58,6 +87,10 @@ export default (sequelize, DataTypes) => {
             ? format(date, 'd MMMM yyyy, h:mm a')
             : date;
         }
+      },
+      searchVector: {
+        type: DataTypes.TSVECTOR,
+        allowNull: true
       }
     },
     {
@@ -68,7 +101,29 @@ export default (sequelize, DataTypes) => {
       paranoid: true,
       createdAt: false,
       updatedAt: false,
-      deletedAt: 'deletedAt'
+      deletedAt: 'deletedAt',
+      // The search vector is only used to search the messages, so it is not sent with them
+      defaultScope: {
+        attributes: { exclude: ['searchVector'] }
+      },
+      indexes: [
+        {
+          unique: true,
+          fields: ['conversationId', 'sequence'],
+          name: 'idx_message_conversationId_sequence',
+          type: 'BTREE'
+        },
+        {
+          fields: ['replyToMessageId'],
+          name: 'idx_message_replyToMessageId',
+          type: 'BTREE'
+        },
+        {
+          fields: ['searchVector'],
+          name: 'idx_message_searchVector',
+          using: 'GIN'
+        }
+      ]
     }
   );
 
@@ -90,6 +145,33 @@ export default (sequelize, DataTypes) => {
       onDelete: 'CASCADE'
     });
 
+    Message.hasMany(models.MessageReaction, {
+      foreignKey: 'messageId',
+      as: 'reactions',
+      onDelete: 'CASCADE'
+    });
+
+    Message.hasMany(models.MessageRevision, {
+      foreignKey: 'messageId',
+      as: 'revisions',
+      onDelete: 'CASCADE'
+    });
+
+    Message.hasMany(models.PinnedMessage, {
+      foreignKey: 'messageId',
+      onDelete: 'CASCADE'
+    });
+
+    Message.hasMany(models.StarredMessage, {
+      foreignKey: 'messageId',
+      onDelete: 'CASCADE'
+    });
+
+    Message.hasMany(models.HiddenMessage, {
+      foreignKey: 'messageId',
+      onDelete: 'CASCADE'
+    });
+
     Message.belongsTo(models.User, {
       foreignKey: 'senderId',
       as: 'sender',
@@ -102,6 +184,18 @@ export default (sequelize, DataTypes) => {
       onDelete: 'CASCADE'
     });
 
+    Message.belongsTo(models.Message, {
+      foreignKey: 'replyToMessageId',
+      as: 'replyTo',
+      onDelete: 'SET NULL'
+    });
+
+    Message.hasMany(models.Message, {
+      foreignKey: 'replyToMessageId',
+      as: 'replies',
+      onDelete: 'SET NULL'
+    });
+
     Message.belongsTo(models.Conversation, {
       foreignKey: 'conversationId',
       as: 'conversation',
@@ -0,0 +1,69 @@
+import { Model } from 'sequelize';
+import { format } from 'date-fns';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * @class MessageReaction
+   * Represents an emoji reaction of a user to a message.
+   *
+   * @property {string} messageId - The unique ID of the message.
+   * @property {string} userId - The unique ID of the user that reacted.
+   * @property {string} emoji - The emoji the user reacted with.
+   * @property {Date} reactedAt - The date when the user reacted to the message.
+   */
+  class MessageReaction extends Model {}
+
+  MessageReaction.init(
+    {
+      messageId: {
+        type: DataTypes.UUID,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        primaryKey: true
+      },
+      emoji: {
+        type: DataTypes.STRING(32),
+        primaryKey: true
+      },
+      reactedAt: {
+        type: DataTypes.DATE,
+        defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+        get() {
+          let date = this.getDataValue('reactedAt');
+
+          return !!date && date instanceof Date
+            ? format(date, 'd MMMM yyyy, h:mm a')
+            : date;
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'MessageReaction',
+      tableName: 'messagereactions',
+      timestamps: false,
+      indexes: [
+        {
+          fields: ['messageId'],
+          name: 'idx_messagereaction_messageId',
+          type: 'BTREE'
+        }
+      ]
+    }
+  );
+
+  MessageReaction.associate = (models) => {
+    MessageReaction.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'profile',
+      onDelete: 'CASCADE'
+    });
+    MessageReaction.belongsTo(models.Message, {
+      foreignKey: 'messageId',
+      onDelete: 'CASCADE'
+    });
+  };
+  return MessageReaction;
+};
@@ -0,0 +1,64 @@
+import { Model } from 'sequelize';
+import { format } from 'date-fns';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * @class MessageRevision
+   * Represents a previous version of a message that was replaced by an edit.
+   *
+   * @property {string} revisionId - The unique ID of the revision.
+   * @property {string} messageId - The unique ID of the edited message.
+   * @property {string} content - The content of the message before the edit.
+   * @property {Date} revisedAt - The date when the content was replaced by the edit.
+   */
+  class MessageRevision extends Model {}
+
+  MessageRevision.init(
+    {
+      revisionId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4
+      },
+      messageId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      content: {
+        type: DataTypes.TEXT
+      },
+      revisedAt: {
+        type: DataTypes.DATE,
+        defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+        get() {
+          let date = this.getDataValue('revisedAt');
+
+          return !!date && date instanceof Date
+            ? format(date, 'd MMMM yyyy, h:mm a')
+            : date;
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'MessageRevision',
+      tableName: 'messagerevisions',
+      timestamps: false,
+      indexes: [
+        {
+          fields: ['messageId'],
+          name: 'idx_messagerevision_messageId',
+          type: 'BTREE'
+        }
+      ]
+    }
+  );
+
+  MessageRevision.associate = (models) => {
+    MessageRevision.belongsTo(models.Message, {
+      foreignKey: 'messageId',
+      onDelete: 'CASCADE'
+    });
+  };
+  return MessageRevision;
+};
@@ -0,0 +1,68 @@
+import { Model } from 'sequelize';
+import { format } from 'date-fns';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * @class PinnedMessage
+   * Represents a message pinned in a conversation.
+   *
+   * @property {string} conversationId - The unique ID of the conversation.
+   * @property {string} messageId - The unique ID of the pinned message.
+   * @property {string} pinnedBy - The unique ID of the user that pinned the message.
+   * @property {Date} pinnedAt - The date when the message was pinned.
+   */
+  class PinnedMessage extends Model {}
+
+  PinnedMessage.init(
+    {
+      conversationId: {
+        type: DataTypes.UUID,
+        primaryKey: true
+      },
+      messageId: {
+        type: DataTypes.UUID,
+        primaryKey: true
+      },
+      pinnedBy: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      pinnedAt: {
+        type: DataTypes.DATE,
+        defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+        get() {
+          let date = this.getDataValue('pinnedAt');
+
+          return !!date && date instanceof Date
+            ? format(date, 'd MMMM yyyy, h:mm a')
+            : date;
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'PinnedMessage',
+      tableName: 'pinnedmessages',
+      timestamps: false
+    }
+  );
+
+  PinnedMessage.associate = (models) => {
+    PinnedMessage.belongsTo(models.Conversation, {
+      foreignKey: 'conversationId',
+      onDelete: 'CASCADE'
+    });
+    PinnedMessage.belongsTo(models.Message, {
+      foreignKey: 'messageId',
+      as: 'message',
+      onDelete: 'CASCADE'
+    });
+    // The pins are kept when the user that pinned them deletes their account
+    PinnedMessage.belongsTo(models.User, {
+      foreignKey: 'pinnedBy',
+      as: 'pinner',
+      onDelete: 'SET NULL'
+    });
+  };
+  return PinnedMessage;
+};
@@ -0,0 +1,79 @@
+import { Model } from 'sequelize';
+import { format } from 'date-fns';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * @class StarredMessage
+   * Represents a message starred (saved) by a user.
+   *
+   * @property {string} userId - The unique ID of the user that starred the message.
+   * @property {string} messageId - The unique ID of the starred message.
+   * @property {string} conversationId - The unique ID of the conversation the message belongs to.
+   * @property {Date} starredAt - The date when the user starred the message.
+   */
+  class StarredMessage extends Model {}
+
+  StarredMessage.init(
+    {
+      userId: {
+        type: DataTypes.UUID,
+        primaryKey: true
+      },
+      messageId: {
+        type: DataTypes.UUID,
+        primaryKey: true
+      },
+      conversationId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      starredAt: {
+        type: DataTypes.DATE,
+        defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+        get() {
+          let date = this.getDataValue('starredAt');
+
+          return !!date && date instanceof Date
+            ? format(date, 'd MMMM yyyy, h:mm a')
+            : date;
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'StarredMessage',
+      tableName: 'starredmessages',
+      timestamps: false,
+      indexes: [
+        {
+          fields: ['userId', 'starredAt', 'messageId'],
+          name: 'idx_starredmessage_userId_starredAt',
+          type: 'BTREE'
+        },
+        {
+          fields: ['messageId'],
+          name: 'idx_starredmessage_messageId',
+          type: 'BTREE'
+        }
+      ]
+    }
+  );
+
+  StarredMessage.associate = (models) => {
+    StarredMessage.belongsTo(models.User, {
+      foreignKey: 'userId',
+      onDelete: 'CASCADE'
+    });
+    StarredMessage.belongsTo(models.Message, {
+      foreignKey: 'messageId',
+      as: 'message',
+      onDelete: 'CASCADE'
+    });
+    StarredMessage.belongsTo(models.Conversation, {
+      foreignKey: 'conversationId',
+      as: 'conversation',
+      onDelete: 'CASCADE'
+    });
+  };
+  return StarredMessage;
+};
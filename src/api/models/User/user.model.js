@@ -14,6 +14,8 @@ export default (sequelize, DataTypes) => {
    * one lowercase letter, one digit, and one special character from the set @$!%?&.
    * @property {string} image - The user's profile image (optional).
    * @property {boolean} isVerified - Indicates if the user's email has been verified. Defaults to false.
+   * @property {Date} lastSeenAt - The date when the user was last online (when their last socket disconnected).
+   * @property {string} presencePrivacy - Who can see the user's online status and last seen ('everyone', 'contacts' or 'nobody'). Defaults to 'everyone'.
    * @property {Date} createdAt - The date when the user registered their account.
    */
   class User extends Model {}
@@ -51,6 +53,22 @@ export default (sequelize, DataTypes) => {
         type: DataTypes.BOOLEAN,
         defaultValue: false
       },
+      lastSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        get() {
+          let date = this.getDataValue('lastSeenAt');
+
+          return !!date && date instanceof Date
+            ? format(date, 'd MMMM yyyy, h:mm a')
+            : date;
+        }
+      },
+      presencePrivacy: {
+        type: DataTypes.ENUM('everyone', 'contacts', 'nobody'),
+        allowNull: false,
+        defaultValue: 'everyone'
+      },
       createdAt: {
         type: DataTypes.DATE,
         defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
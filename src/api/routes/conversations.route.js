@@ -42,6 +42,12 @@ router.delete(
  */
 router.patch('/group/admin', mainController.updateAdminStatus);
 
+/**
+ * Update the slow mode of a group conversation.
+ * Endpoint: PATCH /conversations/group/slow-mode
+ */
+router.patch('/group/slow-mode', mainController.updateSlowMode);
+
 /**
  * Delete a group conversation.
  * Endpoint: DELETE /conversations/group/:conversationId
@@ -55,13 +61,97 @@ router.delete('/group/:conversationId', mainController.deleteConversation);
 router.put('/single/:conversationId', mainController.removeConversation);
 
 /**
- * Fetches the next batch of messages in a conversation for pagination.
+ * Fetches a window of messages in a conversation, paginated by sequence number.
  * Endpoint: GET /conversations/messages
  */
 router.get('/messages', mainController.getMessages);
 
 /**
- * Fetch current user's conversations.
+ * Mark a conversation as read, up to a message or up to the last message.
+ * Endpoint: PUT /conversations/:conversationId/read
+ */
+router.put('/:conversationId/read', mainController.markRead);
+
+/**
+ * Mark a conversation as unread.
+ * Endpoint: PUT /conversations/:conversationId/unread
+ */
+router.put('/:conversationId/unread', mainController.markUnread);
+
+/**
+ * Searches the messages of a conversation.
+ * Endpoint: GET /conversations/:conversationId/messages/search
+ */
+router.get(
+  '/:conversationId/messages/search',
+  mainController.searchConversationMessages
+);
+
+/**
+ * Fetches the messages before and after a message, to jump to it.
+ * Endpoint: GET /conversations/:conversationId/messages/:messageId/context
+ */
+router.get(
+  '/:conversationId/messages/:messageId/context',
+  mainController.getMessageContext
+);
+
+/**
+ * Fetches the replies to a message as a thread.
+ * Endpoint: GET /conversations/:conversationId/messages/:messageId/replies
+ */
+router.get(
+  '/:conversationId/messages/:messageId/replies',
+  mainController.getReplies
+);
+
+/**
+ * Fetches the users that reacted to a message grouped by emoji.
+ * Endpoint: GET /conversations/:conversationId/messages/:messageId/reactions
+ */
+router.get(
+  '/:conversationId/messages/:messageId/reactions',
+  mainController.getReactions
+);
+
+/**
+ * Fetches the previous versions of an edited message.
+ * Endpoint: GET /conversations/:conversationId/messages/:messageId/revisions
+ */
+router.get(
+  '/:conversationId/messages/:messageId/revisions',
+  mainController.getRevisions
+);
+
+/**
+ * Fetches the delivery and seen dates of each recipient of a message.
+ * Endpoint: GET /conversations/:conversationId/messages/:messageId/receipts
+ */
+router.get(
+  '/:conversationId/messages/:messageId/receipts',
+  mainController.getReceipts
+);
+
+/**
+ * Stars a message for the user.
+ * Endpoint: PUT /conversations/:conversationId/messages/:messageId/star
+ */
+router.put(
+  '/:conversationId/messages/:messageId/star',
+  mainController.starMessage
+);
+
+/**
+ * Unstars a message for the user.
+ * Endpoint: DELETE /conversations/:conversationId/messages/:messageId/star
+ */
+router.delete(
+  '/:conversationId/messages/:messageId/star',
+  mainController.unstarMessage
+);
+
+/**
+ * Fetch a page of the current user's conversations.
  * Endpoint: GET /conversations
  */
 router.get('/', mainController.getConversations);
@@ -5,10 +5,12 @@ import authRouter from './auth.route.js';
 import userRouter from './users.route.js';
 import conversationRouter from './conversations.route.js';
 import contactRouter from './contacts.route.js';
+import searchRouter from './search.route.js';
 
 router.use('/auth', authRouter);
 router.use('/users', userRouter);
 router.use('/conversations', conversationRouter);
 router.use('/contacts', contactRouter);
+router.use('/search', searchRouter);
 
 export default router;
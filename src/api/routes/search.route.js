@@ -0,0 +1,12 @@
+import { Router } from 'express';
+const router = new Router();
+
+import mainController from '../controllers/main.controller.js';
+
+/**
+ * Search the content of the messages of the current user's conversations.
+ * Endpoint: GET /search/messages
+ */
+router.get('/messages', mainController.searchMessages);
+
+export default router;
@@ -27,6 +27,24 @@ router.post('/avatar', mainController.changeAvatar);
  */
 router.patch('/password', mainController.changePassword);
 
+/**
+ * Updates who can see the user's online status and last seen.
+ * Endpoint: PATCH /users/privacy
+ */
+router.patch('/privacy', mainController.changePrivacy);
+
+/**
+ * Retrieves the changes missed by the device since the last cursor.
+ * Endpoint: GET /users/sync
+ */
+router.get('/sync', mainController.sync);
+
+/**
+ * Retrieves the messages starred by the user.
+ * Endpoint: GET /users/starred
+ */
+router.get('/starred', mainController.getStarredMessages);
+
 /**
  * Deletes the user's account.
  * Endpoint: DElETE /users/delete
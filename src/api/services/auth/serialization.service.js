@@ -2,88 +2,119 @@ import { redisClient } from '../../../lib/redis-client.js';
 import db from '../../models/index.js';
 import { Op } from 'sequelize';
 
-// Serializes the user object by storing the userId
-export const serializeUser = async (userId, done) => {
-  done(null, { userId });
-};
+/**
+ * Retrieves the user data from the cache, or fetches it from the database and caches it.
+ *
+ * Along with the user's profile, the cached data contains the IDs needed throughout the app:
+ * - singleConversationUserIds: The userIds of the other user in a one-to-one conversation.
+ * - groupMemberIds: The userIds of the other members of the user's group conversations.
+ * - conversationIds: All conversation ids include conversations that do not have messages and are not intiated by the current user.
+ * - contactIds: The userIds of the contacts the user added.
+ * - otherContactIds: The userIds of the users that added the user as a contact.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object | null>} A promise resolving to the user data, or null if the user does not exist.
+ */
+export const fetchUserData = async (userId) => {
+  // Attempt to retrieve user data from the cache
+  const store = JSON.parse(await redisClient.get(`user_data:${userId}`));
 
-// Deserializes the user by retrieving user data from a cache or database
-export const deserializeUser = async ({ userId }, done) => {
-  let user;
+  if (!!store) return store;
 
-  try {
-    // Attempt to retrieve user data from the cache
-    const store = JSON.parse(await redisClient.get(`user_data:${userId}`));
-
-    if (!store) {
-      // If user data is not found in the cache, fetch it from the database
-      user = (
-        await db.User.findByPk(userId, {
-          attributes: [
-            'userId',
-            'googleId',
-            'email',
-            'username',
-            'image',
-            'isVerified',
-            'createdAt'
-          ],
-          include: [
-            {
-              model: db.Conversation,
-              as: 'conversations',
-              attributes: ['conversationId', 'isGroup'],
-              include: {
-                model: db.Member,
-                as: 'members',
-                attributes: ['userId'],
-                where: { userId: { [Op.ne]: userId } }
-              }
-            },
-            {
-              model: db.User,
-              as: 'contacts',
-              attributes: ['userId']
-            }
-          ]
-        })
-      )?.dataValues;
-
-      if (!user) return done(null, false);
-
-      const singleConversationUserIds = new Set(); // The userIds of the other user in a one-to-one conversation
-      const conversationIds = new Set(); // All conversation ids include conversations that do not have messages and are not intiated by the current user.
-      const contactIds = new Set();
-
-      user.conversations.forEach((conversation) => {
-        if (!conversation.dataValues.isGroup) {
-          singleConversationUserIds.add(conversation.members[0].userId);
+  // If user data is not found in the cache, fetch it from the database
+  const user = (
+    await db.User.findByPk(userId, {
+      attributes: [
+        'userId',
+        'googleId',
+        'email',
+        'username',
+        'image',
+        'isVerified',
+        'presencePrivacy',
+        'createdAt'
+      ],
+      include: [
+        {
+          model: db.Conversation,
+          as: 'conversations',
+          attributes: ['conversationId', 'isGroup'],
+          include: {
+            model: db.Member,
+            as: 'members',
+            attributes: ['userId'],
+            where: { userId: { [Op.ne]: userId } }
+          }
+        },
+        {
+          model: db.User,
+          as: 'contacts',
+          attributes: ['userId']
+        },
+        {
+          model: db.User,
+          as: 'otherContacts',
+          attributes: ['userId']
         }
+      ]
+    })
+  )?.dataValues;
 
-        conversationIds.add(conversation.dataValues.conversationId);
-      });
+  if (!user) return null;
 
-      user.contacts.forEach((contact) =>
-        contactIds.add(contact.dataValues.userId)
+  const singleConversationUserIds = new Set();
+  const groupMemberIds = new Set();
+  const conversationIds = new Set();
+  const contactIds = new Set();
+  const otherContactIds = new Set();
+
+  user.conversations.forEach((conversation) => {
+    if (!conversation.dataValues.isGroup) {
+      singleConversationUserIds.add(conversation.members[0].userId);
+    } else {
+      conversation.members.forEach((member) =>
+        groupMemberIds.add(member.userId)
       );
+    }
 
-      user.singleConversationUserIds = Array.from(singleConversationUserIds);
-      user.conversationIds = Array.from(conversationIds);
-      user.contactIds = Array.from(contactIds);
+    conversationIds.add(conversation.dataValues.conversationId);
+  });
 
-      delete user.conversations;
-      delete user.contacts;
+  user.contacts.forEach((contact) => contactIds.add(contact.dataValues.userId));
 
-      // Store the fetched user data in the cache for future use
-      await redisClient.setex(
-        `user_data:${userId}`,
-        60 * 60 * 24, // Cache expiration time set to 1 day
-        JSON.stringify({ ...user })
-      );
-    } else {
-      // If user data is found in the cache, use it
-      user = store;
-    }
+  user.otherContacts.forEach((otherContact) =>
+    otherContactIds.add(otherContact.dataValues.userId)
+  );
+
+  user.singleConversationUserIds = Array.from(singleConversationUserIds);
+  user.groupMemberIds = Array.from(groupMemberIds);
+  user.conversationIds = Array.from(conversationIds);
+  user.contactIds = Array.from(contactIds);
+  user.otherContactIds = Array.from(otherContactIds);
+
+  delete user.conversations;
+  delete user.contacts;
+  delete user.otherContacts;
+
+  // Store the fetched user data in the cache for future use
+  await redisClient.setex(
+    `user_data:${userId}`,
+    60 * 60 * 24, // Cache expiration time set to 1 day
+    JSON.stringify({ ...user })
+  );
+
+  return user;
+};
+
+// Serializes the user object by storing the userId
+export const serializeUser = async (userId, done) => {
+  done(null, { userId });
+};
+
+// Deserializes the user by retrieving user data from a cache or database
+export const deserializeUser = async ({ userId }, done) => {
+  try {
+    const user = await fetchUserData(userId);
 
     if (user) {
       // If user data is available, pass it to the 'done' callback
@@ -104,8 +104,11 @@ export const setContact = async (currentUserId, contactId) => {
       addedById: currentUserId
     });
 
-    // Clear user data cache
-    await redisClient.del(`user_data:${currentUserId}`);
+    // Clear user data cache of both users (the contact's cache holds the users that added them)
+    await redisClient.del(
+      `user_data:${currentUserId}`,
+      `user_data:${contactId}`
+    );
 
     return {
       status: successJson.status.created
@@ -142,8 +145,11 @@ export const deleteContact = async (currentUserId, contactId) => {
       }
     });
 
-    // Clear user data cache
-    await redisClient.del(`user_data:${currentUserId}`);
+    // Clear user data cache of both users (the contact's cache holds the users that added them)
+    await redisClient.del(
+      `user_data:${currentUserId}`,
+      `user_data:${contactId}`
+    );
 
     return {
       status: successJson.status.no_content
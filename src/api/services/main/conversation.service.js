@@ -4,7 +4,42 @@ import { redisClient } from '../../../lib/redis-client.js';
 import { io } from '../../../app.js';
 import successJson from '../../../config/success.json' assert { type: 'json' };
 import { uploader } from '../../../lib/uploader.js';
-import { MissingSystemDataError } from '../../helpers/ErrorTypes.helper.js';
+import {
+  ConversationAccessError,
+  GroupAdminPermissionError,
+  MessageNotFoundError,
+  MissingSystemDataError
+} from '../../helpers/ErrorTypes.helper.js';
+import {
+  formatPin,
+  formatReactions,
+  formatReplySnippet,
+  notHiddenFor,
+  pinIncludes,
+  reactionsInclude,
+  replyToInclude
+} from '../../helpers/MessageFormat.helper.js';
+import {
+  filterVisiblePresence,
+  hideLastSeen,
+  isUserOnline
+} from '../../helpers/Presence.helper.js';
+import {
+  recordChanges,
+  recordConversationChange
+} from '../../helpers/ChangeLog.helper.js';
+import { decodeCursor, encodeCursor } from '../../helpers/Cursor.helper.js';
+import {
+  formatReadState,
+  markMessagesSeen,
+  pushReadStates
+} from '../../helpers/ReadState.helper.js';
+
+// The order of the messages of a conversation, newest first (messages sent before the sequence numbers were assigned are the oldest)
+const MESSAGES_ORDER = [
+  ['sequence', 'DESC NULLS LAST'],
+  ['sentAt', 'DESC']
+];
 
 /**
  * Adds a new conversation to the database and notifies relevant users about the conversation creation.
@@ -60,12 +95,21 @@ export const addConversation = async (
           include: {
             model: db.User,
             as: 'profile',
-            attributes: ['userId', 'username', 'image', 'deletedAt'],
+            attributes: [
+              'userId',
+              'username',
+              'image',
+              'deletedAt',
+              'lastSeenAt'
+            ],
             paranoid: false
           }
         }
       });
 
+      // Hide the last seen date of the members that do not share it with the current user
+      await hideLastSeen(conversation.dataValues.members, currentUserId);
+
       const otherMember = conversation.dataValues.members.find(
         (member) => member.userId !== currentUserId
       );
@@ -156,10 +200,8 @@ export const addConversation = async (
     };
 
     members.forEach((member) => {
-      const socket = io.sockets.sockets.get(member.userId);
-
-      // Join the socket to the conversation room if the socket is online
-      if (socket) socket.join(conversationId);
+      // Join all the online sockets (devices) of the member to the conversation room
+      io.in(member.userId).socketsJoin(conversationId);
 
       // Clear user data cache so that it is updated with the new conversation
       redisClient.del(`user_data:${member.userId}`);
@@ -168,12 +210,20 @@ export const addConversation = async (
     if (!isGroup) {
       // Check if the other user in the one-to-one conversation is online
       const otherUserId = memberIds[0];
-      const isSocketOnline = io.sockets.adapter.rooms.has(otherUserId);
+      const isSocketOnline = await isUserOnline(otherUserId);
 
-      // Emit a 'connected' event to the current user to notify that the other user is online
       if (isSocketOnline) {
-        io.to(currentUserId).emit('connected', true, [otherUserId]);
-        io.to(otherUserId).emit('connected', true, [currentUserId]);
+        // Each user is only shown online to the other if their privacy setting allows it
+        const [otherIsVisible, currentIsVisible] = await Promise.all([
+          filterVisiblePresence([otherUserId], currentUserId),
+          filterVisiblePresence([currentUserId], otherUserId)
+        ]);
+
+        // Emit a 'connected' event to each user to notify that the other user is online
+        if (otherIsVisible.length > 0)
+          io.to(currentUserId).emit('connected', true, [otherUserId]);
+        if (currentIsVisible.length > 0)
+          io.to(otherUserId).emit('connected', true, [currentUserId]);
       }
     } else {
       // For group conversations, emit an event to the other members about the new conversation
@@ -182,6 +232,11 @@ export const addConversation = async (
       io.to(conversationId).except(currentUserId).emit('new_group_chat', {
         conversation: otherFields
       });
+
+      // Record the new conversation for the devices that are offline
+      await recordChanges(memberIds, 'new_group_chat', {
+        conversation: otherFields
+      });
     }
 
     return {
@@ -196,89 +251,199 @@ export const addConversation = async (
 };
 
 /**
- * Fetches conversations and their messages based on provided conversation IDs and current user ID.
+ * Fetches a page of the conversations of the current user, with the latest messages of each conversation.
+ *
+ * The conversations are ordered by their last activity (the last message, or the creation date), and paginated with a cursor.
+ * The page is built from a constant number of queries, whatever the number of conversations:
+ * 1. The page of conversations, with the read state (unread counter, last read message, unread flag) of the current user in each.
+ * 2. The conversations with their members.
+ * 3. The IDs of the latest messages of each conversation (a lateral join limited per conversation).
+ * 4. The latest messages with their status, sender, quoted message and reactions.
  * 
- * @param {Array<string>} conversationIds - An array of conversation IDs to fetch.
  * @param {string} currentUserId - The ID of the current user.
- * @returns {Promise<{ status: string, conversations: Object, groupedMessages: Object }> | { error: Error }} 
-    A promise resolving to an object containing fetched conversations, grouped messages, and status, or an error object.
+ * @param {string} [cursor] - The cursor of the last conversation of the previous page (the first page if missing).
+ * @returns {Promise<{ status: string, conversations: Object, groupedMessages: Object, nextCursor: string | null }> | { error: Error }} 
+    A promise resolving to an object containing fetched conversations, grouped messages, the cursor of the next page, and status, or an error object.
  */
-export const fetchConversations = async (conversationIds, currentUserId) => {
-  // Define the batch size for fetching messages
+export const fetchConversations = async (currentUserId, cursor) => {
+  // Define the page size of conversations and the batch size for fetching messages
+  const PAGE_SIZE = 20;
   const BATCH_SIZE = 20;
   try {
-    // Fetch conversations based on provided conversation IDs and certain criteria
-    const conversations = await db.Conversation.findAll({
-      where: {
-        conversationId: { [Op.in]: conversationIds },
-        // Fetch conversations initiated by the current user, conversations with existing messages,
-        // and group conversations
-        [Op.or]: [
-          { createdBy: currentUserId },
-          { lastMessageAt: { [Op.ne]: null } },
-          { isGroup: true }
-        ]
-      },
-      include: [
-        // Include user profiles for all members of each conversation
-        {
-          model: db.Member,
-          as: 'members',
-          include: {
-            model: db.User,
-            as: 'profile',
-            attributes: ['userId', 'username', 'image', 'deletedAt'],
-            paranoid: false
-          }
+    const after = decodeCursor(cursor);
+
+    // Fetch the page of conversations initiated by the current user, conversations with existing messages,
+    // and group conversations, ordered by last message date or creation date if no messages exist
+    const [page] = await db.sequelize.query(
+      `
+        SELECT c."conversationId",
+          COALESCE(c."lastMessageAt", c."createdAt") AS "activityAt",
+          mb."unreadCount",
+          mb."lastReadMessageId",
+          mb."isMarkedUnread"
+        FROM members AS mb
+        JOIN conversations AS c ON c."conversationId" = mb."conversationId"
+        WHERE mb."userId" = :currentUserId
+        AND (c."createdBy" = :currentUserId OR c."lastMessageAt" IS NOT NULL OR c."isGroup" = true)
+        ${
+          !!after
+            ? `AND (COALESCE(c."lastMessageAt", c."createdAt"), c."conversationId") < (:date, :id)`
+            : ''
         }
-      ],
-      attributes: {
-        // Include the count of unseen messages for each conversation
-        include: [
-          [
-            db.sequelize.literal(`(
-              SELECT COUNT(*)
-              FROM messagestatus as ms
-              WHERE ms."userId" = '${currentUserId}'
-              AND ms."messageId" IN (
-                SELECT "messageId"
-                FROM messages as m
-                WHERE m."conversationId" = "Conversation"."conversationId"
-              )
-              AND ms."deliverAt" IS NOT NULL
-              AND ms."seenAt" IS NULL
-            )`),
-            'unseenMessagesCount'
-          ]
-        ]
-      },
-      order: [
-        // Order conversations by last message date or creation date if no messages exist
-        [
-          db.sequelize.literal(
-            'CASE WHEN "lastMessageAt" IS NOT NULL THEN "lastMessageAt" ELSE "Conversation"."createdAt" END'
-          ),
-          'DESC'
-        ]
-      ]
-    });
+        ORDER BY "activityAt" DESC, c."conversationId" DESC
+        LIMIT :limit;
+      `,
+      {
+        replacements: {
+          currentUserId,
+          limit: PAGE_SIZE + 1,
+          ...(!!after && after)
+        }
+      }
+    );
 
     // Handle the case when no conversations are found
-    if (conversations.length == 0)
+    if (page.length == 0)
       return {
         status: successJson.status.ok,
         conversations: null,
-        groupedMessages: null
+        groupedMessages: null,
+        nextCursor: null
       };
 
+    // Check if there are more conversations to load
+    let nextCursor = null;
+    if (page.length > PAGE_SIZE) {
+      page.pop(); // Remove the extra conversation used to determine the next page
+      const { activityAt, conversationId } = page[page.length - 1];
+      nextCursor = encodeCursor(activityAt, conversationId);
+    }
+
+    const conversationIds = page.map((row) => row.conversationId);
+
+    // Fetch the conversations of the page with the profiles of all their members
+    const conversations = await db.Conversation.findAll({
+      where: { conversationId: { [Op.in]: conversationIds } },
+      include: {
+        model: db.Member,
+        as: 'members',
+        include: {
+          model: db.User,
+          as: 'profile',
+          attributes: [
+            'userId',
+            'username',
+            'image',
+            'deletedAt',
+            'lastSeenAt'
+          ],
+          paranoid: false
+        }
+      }
+    });
+
+    // Fetch the IDs of the latest messages of each conversation visible to the current user,
+    // with one more message than the batch size to determine if the conversation has more messages
+    const [latestMessages] = await db.sequelize.query(
+      `
+        SELECT latest."messageId"
+        FROM members AS mb
+        CROSS JOIN LATERAL (
+          SELECT m."messageId"
+          FROM messages AS m
+          WHERE m."conversationId" = mb."conversationId"
+          AND m."sentAt" > mb."joinedAt"
+          AND m."messageId" NOT IN (
+            SELECT "messageId" FROM hiddenmessages WHERE "userId" = :currentUserId
+          )
+          AND EXISTS (
+            SELECT 1
+            FROM messagestatus AS ms
+            WHERE ms."messageId" = m."messageId"
+            AND (ms."deliverAt" IS NOT NULL OR ms."userId" <> :currentUserId)
+          )
+          ORDER BY m."sequence" DESC NULLS LAST, m."sentAt" DESC
+          LIMIT :limit
+        ) AS latest
+        WHERE mb."userId" = :currentUserId
+        AND mb."conversationId" IN (:conversationIds);
+      `,
+      {
+        replacements: { currentUserId, conversationIds, limit: BATCH_SIZE + 1 }
+      }
+    );
+
+    // Retrieve the latest messages of all the conversations at once
+    const messages =
+      latestMessages.length > 0
+        ? await db.Message.findAll({
+            where: {
+              messageId: {
+                [Op.in]: latestMessages.map((message) => message.messageId)
+              }
+            },
+            include: [
+              // Include message status
+              {
+                model: db.MessageStatus,
+                as: 'status',
+                attributes: ['deliverAt', 'seenAt'],
+                where: {
+                  // Include all the messages in the conversation except messages that are not yet delivered to the current user
+                  [Op.or]: [
+                    { deliverAt: { [Op.ne]: null } }, // Messages with delivery confirmation
+                    { userId: { [Op.ne]: currentUserId } } // Messages sent by other users
+                  ]
+                },
+                include: {
+                  // Include user profile for message status
+                  model: db.User,
+                  as: 'profile',
+                  attributes: ['userId', 'username', 'image', 'deletedAt'],
+                  paranoid: false
+                },
+                required: true
+              },
+              // Include sender's profile
+              {
+                model: db.User,
+                as: 'sender',
+                attributes: ['userId', 'username', 'image', 'deletedAt'],
+                required: false,
+                paranoid: false
+              },
+              // Include the message being replied to (if any)
+              replyToInclude,
+              // Include the reactions to the message
+              reactionsInclude
+            ],
+            paranoid: false, // Include soft-deleted messages
+            order: MESSAGES_ORDER
+          })
+        : [];
+
+    // Hide the last seen date of the members that do not share it with the current user
+    await hideLastSeen(
+      conversations.flatMap((conversation) => conversation.dataValues.members),
+      currentUserId
+    );
+
     let groupedMessages = {};
     let formattedConversations = {};
 
-    // Loop through each conversation to format and group messages
-    for (const conversation of conversations) {
+    // Loop through each conversation in the order of the page to format it
+    for (const {
+      conversationId,
+      unreadCount,
+      lastReadMessageId,
+      isMarkedUnread
+    } of page) {
+      const conversation = conversations.find(
+        (conversation) => conversation.conversationId === conversationId
+      );
+
       // Extract conversation details
       const {
-        conversationId,
         name,
         image,
         isGroup,
@@ -286,15 +451,14 @@ export const fetchConversations = async (conversationIds, currentUserId) => {
         createdBy,
         createdAt,
         lastMessageAt,
-        unseenMessagesCount
+        lastSequence,
+        slowModeInterval
       } = conversation.dataValues;
 
-      let currentMember = null;
       // Determine the other member or members (depending on group or one-to-one conversation)
-      const otherMemberOrMembers = members.filter((member) => {
-        if (member.dataValues.userId !== currentUserId) return member;
-        currentMember = member;
-      });
+      const otherMemberOrMembers = members.filter(
+        (member) => member.dataValues.userId !== currentUserId
+      );
 
       // Format conversation details
       formattedConversations[conversationId] = {
@@ -302,6 +466,11 @@ export const fetchConversations = async (conversationIds, currentUserId) => {
         createdBy,
         createdAt,
         lastMessageAt,
+        lastSequence,
+        slowModeInterval,
+        unreadCount,
+        lastReadMessageId,
+        isMarkedUnread,
         isGroup,
         image,
         name,
@@ -318,100 +487,60 @@ export const fetchConversations = async (conversationIds, currentUserId) => {
         hasInitialNextPage: false
       };
 
-      // Retrieve messages for the conversation
-      const messages = await db.Message.findAll({
-        where: {
-          conversationId,
-          sentAt: { [Op.gt]: currentMember.dataValues.joinedAt }
-        },
-        include: [
-          // Include message status
-          {
-            model: db.MessageStatus,
-            as: 'status',
-            attributes: ['deliverAt', 'seenAt'],
-            where: {
-              // Include all the messages in the conversation except messages that are not yet delivered to the current user
-              [Op.or]: [
-                { deliverAt: { [Op.ne]: null } }, // Messages with delivery confirmation
-                { userId: { [Op.ne]: currentUserId } } // Messages sent by other users
-              ]
-            },
-            include: {
-              // Include user profile for message status
-              model: db.User,
-              as: 'profile',
-              attributes: ['userId', 'username', 'image', 'deletedAt'],
-              paranoid: false
-            },
-            required: true
-          },
-          // Include sender's profile
-          {
-            model: db.User,
-            as: 'sender',
-            attributes: ['userId', 'username', 'image', 'deletedAt'],
-            required: false,
-            paranoid: false
-          }
-        ],
-        paranoid: false, // Include soft-deleted messages
-        order: [['sentAt', 'DESC']],
-        limit: BATCH_SIZE + 1 // Limit the number of messages fetched
-      });
-
-      // Format messages and count unseen messages
-      groupedMessages[conversationId] = messages.reduce(
-        (acc, message, i) => {
-          // Check if the number of messages exceeds the batch size
-          if (i + 1 > BATCH_SIZE) {
-            formattedConversations[conversationId].hasInitialNextPage = true;
-            return acc;
-          }
-
-          const { senderId, ...otherFields } = message.dataValues;
+      groupedMessages[conversationId] = {
+        messages: [], // Initialize the list of messages
+        unseenMessagesCount: unreadCount
+      };
+    }
 
-          // Initialize message counters for delivery and read status
-          let deliverCount = 0;
-          let seenCount = 0;
-          let formattedStatus = {};
+    // Format messages and group them by conversation (the messages are ordered newest first)
+    for (const message of messages) {
+      const { senderId, ...otherFields } = message.dataValues;
+      const { conversationId } = otherFields;
 
-          // Process message status if sent by the current user
-          if (senderId === currentUserId) {
-            formattedStatus = otherFields.status.reduce((acc, userStatus) => {
-              const { deliverAt, seenAt, profile } = userStatus.dataValues;
+      // Check if the number of messages exceeds the batch size
+      if (groupedMessages[conversationId].messages.length === BATCH_SIZE) {
+        formattedConversations[conversationId].hasInitialNextPage = true;
+        continue;
+      }
 
-              // Update delivery and read counters based on message status
-              if (!!deliverAt) deliverCount += 1;
-              if (!!seenAt) seenCount += 1;
+      // Initialize message counters for delivery and read status
+      let deliverCount = 0;
+      let seenCount = 0;
+      let formattedStatus = {};
 
-              acc[profile.userId] = { ...userStatus.dataValues };
-              return acc;
-            }, {});
-          }
+      // Process message status if sent by the current user
+      if (senderId === currentUserId) {
+        formattedStatus = otherFields.status.reduce((acc, userStatus) => {
+          const { deliverAt, seenAt, profile } = userStatus.dataValues;
 
-          // Add message to the list of messages for the conversation
-          acc.messages.push({
-            ...otherFields,
-            ...(senderId === currentUserId
-              ? { status: formattedStatus, deliverCount, seenCount }
-              : {})
-          });
+          // Update delivery and read counters based on message status
+          if (!!deliverAt) deliverCount += 1;
+          if (!!seenAt) seenCount += 1;
 
+          acc[profile.userId] = { ...userStatus.dataValues };
           return acc;
-        },
-        {
-          messages: [], // Initialize the list of messages
-          unseenMessagesCount: parseInt(unseenMessagesCount) // Convert unseen messages count to integer
-        }
-      );
+        }, {});
+      }
+
+      // Add message to the list of messages for the conversation
+      groupedMessages[conversationId].messages.push({
+        ...otherFields,
+        replyTo: formatReplySnippet(otherFields.replyTo),
+        reactions: formatReactions(otherFields.reactions, currentUserId),
+        isEdited: otherFields.revisionCount > 0,
+        ...(senderId === currentUserId
+          ? { status: formattedStatus, deliverCount, seenCount }
+          : {})
+      });
     }
 
-    // Return the formatted conversations and grouped messages
+    // Return the formatted conversations, grouped messages and the cursor of the next page
     return {
       status: successJson.status.ok,
       conversations: formattedConversations,
-      groupedMessages
+      groupedMessages,
+      nextCursor
     };
   } catch (err) {
     // Handle any errors that occur during the execution
@@ -420,15 +549,26 @@ export const fetchConversations = async (conversationIds, currentUserId) => {
 };
 
 /**
- * Fetches details of a specific conversation including its members.
+ * Fetches details of a specific conversation including its members and its pinned messages.
  * 
  * @param {string} conversationId - The ID of the conversation to fetch.
  * @param {string} currentUserId - The ID of the current user.
  * @returns {Promise<{ status: string, conversation: Object }> | { error: Error }} 
     A promise resolving to an object containing the fetched conversation details and status, or an error object.
+ * @throws {ConversationAccessError} If the conversation does not exist or the current user is not one of its members.
  */
 export const fetchConversation = async (conversationId, currentUserId) => {
   try {
+    // The read state of the current user is excluded from the members by default
+    const currentMember = await db.Member.unscoped().findOne({
+      where: { conversationId, userId: currentUserId },
+      attributes: ['unreadCount', 'lastReadMessageId', 'isMarkedUnread']
+    });
+
+    if (!currentMember) throw new ConversationAccessError();
+
+    const { unreadCount, lastReadMessageId, isMarkedUnread } = currentMember;
+
     const conversation = await db.Conversation.findByPk(conversationId, {
       include: {
         model: db.Member,
@@ -436,7 +576,13 @@ export const fetchConversation = async (conversationId, currentUserId) => {
         include: {
           model: db.User,
           as: 'profile',
-          attributes: ['userId', 'username', 'image', 'deletedAt'],
+          attributes: [
+            'userId',
+            'username',
+            'image',
+            'deletedAt',
+            'lastSeenAt'
+          ],
           paranoid: false
         }
       }
@@ -449,9 +595,21 @@ export const fetchConversation = async (conversationId, currentUserId) => {
       members,
       createdBy,
       createdAt,
-      lastMessageAt
+      lastMessageAt,
+      lastSequence,
+      slowModeInterval
     } = conversation.dataValues;
 
+    // Hide the last seen date of the members that do not share it with the current user
+    await hideLastSeen(members, currentUserId);
+
+    // The most recently pinned messages first
+    const pins = await db.PinnedMessage.findAll({
+      where: { conversationId },
+      include: pinIncludes,
+      order: [['pinnedAt', 'DESC']]
+    });
+
     // Determine the other member or members (depending on group or one-to-one conversation)
     const otherMemberOrMembers = isGroup
       ? members.filter((member) => member.userId !== currentUserId)
@@ -462,10 +620,16 @@ export const fetchConversation = async (conversationId, currentUserId) => {
       createdBy,
       createdAt,
       lastMessageAt,
+      lastSequence,
+      slowModeInterval,
+      unreadCount,
+      lastReadMessageId,
+      isMarkedUnread,
       isGroup,
       image,
       name,
       members,
+      pinnedMessages: pins.map(formatPin),
       ...(isGroup
         ? {
             otherMembers: otherMemberOrMembers,
@@ -488,66 +652,145 @@ export const fetchConversation = async (conversationId, currentUserId) => {
 };
 
 /**
- * Fetches messages of a conversation based on the provided conversation ID, current user ID, pagination, and join timestamp.
+ * Fetches a window of messages of a conversation, using the sequence numbers of the messages as cursors.
+ *
+ * The window is one of:
+ * - The newest messages (no cursor).
+ * - The messages older than a sequence number (beforeSequence), to load the history.
+ * - The messages newer than a sequence number (afterSequence), to fill a gap in the messages received.
+ * - The messages around a message (aroundMessageId), to jump to a message from a search result or a reply.
+ * The messages are always returned newest first, and only the messages sent after the current user joined the conversation are visible to them.
  * 
  * @param {string} conversationId - The ID of the conversation to fetch messages from.
  * @param {string} currentUserId - The ID of the current user.
- * @param {number} page - The page number for pagination.
- * @param {Date} joinedAt - The timestamp indicating when the current user joined the conversation.
- * @returns {Promise<{ status: string, hasNextPage: boolean, items: Array<Object> }> | { error: Error }} 
-    A promise resolving to an object containing fetched messages, pagination information, and status, or an error object.
+ * @param {object} [cursors] - The cursor of the window.
+ * @param {number} [cursors.beforeSequence] - Fetch the messages before this sequence number.
+ * @param {number} [cursors.afterSequence] - Fetch the messages after this sequence number.
+ * @param {string} [cursors.aroundMessageId] - Fetch the messages around this message (the message included).
+ * @param {number} [cursors.before] - The number of messages to fetch before the message when fetching around it (defaults to 10).
+ * @param {number} [cursors.after] - The number of messages to fetch after the message when fetching around it (defaults to 10).
+ * @returns {Promise<{ status: string, hasOlder: boolean, hasNewer: boolean, items: Array<Object> }> | { error: Error }} 
+    A promise resolving to an object containing fetched messages, whether there are older or newer messages to load, and status, or an error object.
+ * @throws {MissingSystemDataError} If conversationId is missing.
+ * @throws {ConversationAccessError} If the current user is not a member of the conversation.
+ * @throws {MessageNotFoundError} If the message to fetch the messages around is not visible to the current user.
  */
 export const fetchMessages = async (
   conversationId,
   currentUserId,
-  page,
-  joinedAt
+  cursors = {}
 ) => {
   const BATCH_SIZE = 20;
+  const {
+    beforeSequence,
+    afterSequence,
+    aroundMessageId,
+    before = BATCH_SIZE / 2,
+    after = BATCH_SIZE / 2
+  } = cursors;
   try {
-    if (!conversationId || !page || !joinedAt) {
-      throw new MissingSystemDataError('FETCH_MESSAGES', {
-        conversationId,
-        page,
-        joinedAt
-      });
+    if (!conversationId) {
+      throw new MissingSystemDataError('FETCH_MESSAGES', { conversationId });
     }
 
-    // Fetch messages from the database based on conversation ID and pagination
-    const messages = await db.Message.findAll({
-      where: { conversationId, sentAt: { [Op.gt]: joinedAt } },
-      offset: page,
-      limit: BATCH_SIZE + 1, // Fetch a batch of 20 messages for pagination
-      include: [
-        {
-          model: db.MessageStatus,
-          as: 'status',
-          attributes: ['deliverAt', 'seenAt'],
-          include: {
+    const member = await db.Member.findOne({
+      where: { conversationId, userId: currentUserId }
+    });
+
+    if (!member) throw new ConversationAccessError();
+
+    const visibleMessages = {
+      conversationId,
+      sentAt: { [Op.gt]: member.dataValues.joinedAt },
+      messageId: notHiddenFor(currentUserId) // Exclude the messages deleted for the current user only
+    };
+
+    // Fetches up to `limit` messages (and one more to know whether there are more) matching the sequence condition
+    const findMessages = (sequence, order, limit) =>
+      db.Message.findAll({
+        where: {
+          ...visibleMessages,
+          ...(sequence !== undefined && { sequence })
+        },
+        limit: limit + 1,
+        include: [
+          {
+            model: db.MessageStatus,
+            as: 'status',
+            attributes: ['deliverAt', 'seenAt'],
+            include: {
+              model: db.User,
+              as: 'profile',
+              attributes: ['userId', 'username', 'image'],
+              paranoid: false
+            }
+          },
+          {
             model: db.User,
-            as: 'profile',
+            as: 'sender',
             attributes: ['userId', 'username', 'image'],
             paranoid: false
-          }
-        },
-        {
-          model: db.User,
-          as: 'sender',
-          attributes: ['userId', 'username', 'image'],
-          paranoid: false
-        }
-      ],
-      order: [['sentAt', 'DESC']], // Order messages by sentAt timestamp in descending order
-      paranoid: false // Include soft-deleted messages
-    });
+          },
+          replyToInclude,
+          reactionsInclude
+        ],
+        order,
+        paranoid: false // Include soft-deleted messages
+      });
+
+    let olderMessages = [];
+    let newerMessages = [];
+    let olderLimit = BATCH_SIZE;
+    let newerLimit = BATCH_SIZE;
 
-    // Check if there are more messages to load
-    let hasNextPage = false;
-    if (messages.length > BATCH_SIZE) {
-      hasNextPage = true;
-      messages.pop(); // Remove the extra message used to determine hasNextPage
+    if (!!aroundMessageId) {
+      const message = await db.Message.findOne({
+        where: { ...visibleMessages, messageId: aroundMessageId },
+        attributes: ['sequence'],
+        paranoid: false
+      });
+
+      if (!message || message.sequence === null)
+        throw new MessageNotFoundError();
+
+      // The messages before the message (the message included) and the messages after it
+      olderLimit = before + 1;
+      newerLimit = after;
+
+      [olderMessages, newerMessages] = await Promise.all([
+        findMessages(
+          { [Op.lte]: message.sequence },
+          MESSAGES_ORDER,
+          olderLimit
+        ),
+        findMessages(
+          { [Op.gt]: message.sequence },
+          [['sequence', 'ASC']],
+          newerLimit
+        )
+      ]);
+    } else if (afterSequence !== undefined) {
+      newerMessages = await findMessages(
+        { [Op.gt]: afterSequence },
+        [['sequence', 'ASC']],
+        BATCH_SIZE
+      );
+    } else {
+      // Every message has a sequence (see Migration.helper.js), so the older pages reach the first message
+      olderMessages = await findMessages(
+        beforeSequence !== undefined ? { [Op.lt]: beforeSequence } : undefined,
+        MESSAGES_ORDER,
+        BATCH_SIZE
+      );
     }
 
+    // Remove the extra messages used to determine whether there are more messages to load
+    const hasOlder = olderMessages.length > olderLimit;
+    const hasNewer = newerMessages.length > newerLimit;
+    olderMessages = olderMessages.slice(0, olderLimit);
+    newerMessages = newerMessages.slice(0, newerLimit).reverse();
+    const messages = [...newerMessages, ...olderMessages]; // Newest first
+
     // Format fetched messages
     const formattedMessages = messages.map((message) => {
       let {
@@ -555,12 +798,17 @@ export const fetchMessages = async (
         conversationId,
         content,
         fileUrl,
+        sequence,
         sentAt,
         updatedAt,
         deletedAt,
         sender,
         senderId,
-        status
+        status,
+        replyToMessageId,
+        replyTo,
+        reactions,
+        revisionCount
       } = message.dataValues;
 
       let deliverCount = 0;
@@ -570,7 +818,6 @@ export const fetchMessages = async (
       if (senderId === currentUserId) {
         status = status.reduce((acc, userStatus) => {
           const { deliverAt, seenAt, profile } = userStatus.dataValues;
-          console.log(userStatus);
           if (deliverAt) deliverCount += 1;
           if (seenAt) seenCount += 1;
 
@@ -585,10 +832,16 @@ export const fetchMessages = async (
         conversationId,
         content,
         fileUrl,
+        sequence,
         sentAt,
         updatedAt,
         deletedAt,
         sender,
+        replyToMessageId,
+        replyTo: formatReplySnippet(replyTo),
+        reactions: formatReactions(reactions, currentUserId),
+        isEdited: revisionCount > 0,
+        revisionCount,
         ...(senderId === currentUserId
           ? { status, deliverCount, seenCount } // Include delivery and seen count for messages sent by the current user
           : {})
@@ -598,7 +851,8 @@ export const fetchMessages = async (
     // Return fetched messages and pagination information
     return {
       status: successJson.status.ok,
-      hasNextPage,
+      hasOlder,
+      hasNewer,
       items: formattedMessages
     };
   } catch (err) {
@@ -649,11 +903,18 @@ export const uploadGroupImage = async (conversationId, currentUserId, path) => {
     );
 
     // Emit a socket event to update conversation data with the new image URL
-    io.to(conversationId).emit('update_conversation', {
+    const update = {
       conversationId,
       field: 'image',
       data: { image: secure_url }
-    });
+    };
+
+    io.to(conversationId).emit('update_conversation', update);
+    await recordConversationChange(
+      conversationId,
+      'update_conversation',
+      update
+    );
 
     // Return the status of the operation
     return { status: successJson.status.ok };
@@ -687,11 +948,22 @@ export const setNewName = async (conversationId, currentUserId, name) => {
 
     // Check if the conversation name was successfully updated
     if (!!isUpdated[0]) {
-      io.to(conversationId).except(currentUserId).emit('update_conversation', {
+      const update = {
         conversationId,
         field: 'name',
         data: { name }
-      });
+      };
+
+      io.to(conversationId)
+        .except(currentUserId)
+        .emit('update_conversation', update);
+
+      // Record the new name for the devices that are offline, including the other devices of the current user
+      await recordConversationChange(
+        conversationId,
+        'update_conversation',
+        update
+      );
     }
 
     return { status: successJson.status.ok };
@@ -747,22 +1019,34 @@ export const setNewMembers = async (
     });
 
     // Emit an event to notify existing conversation members about the addition of new members
+    const update = {
+      conversationId,
+      field: 'members',
+      action: 'addMembers',
+      data: { members: newMembersProfile }
+    };
+
     io.to(conversationId)
       .except(currentUserId)
-      .emit('update_conversation', {
-        conversationId,
-        field: 'members',
-        action: 'addMembers',
-        data: { members: newMembersProfile }
-      });
+      .emit('update_conversation', update);
+
+    await recordChanges(
+      conversation.dataValues.members.map((member) => member.userId),
+      'update_conversation',
+      update
+    );
 
     // Join the conversation room for each new member
     memberIds.forEach((userId) => {
-      const socket = io.sockets.sockets.get(userId);
-      if (socket) socket.join(conversationId);
+      io.in(userId).socketsJoin(conversationId);
       redisClient.del(`user_data:${userId}`);
     });
 
+    // Clear the user data cache of the existing members so that it is updated with the new group members
+    conversation.dataValues.members.forEach((member) =>
+      redisClient.del(`user_data:${member.userId}`)
+    );
+
     // Retrieve admin IDs for the conversation
     const adminIds = conversation.dataValues.members.reduce((acc, member) => {
       if (member.isAdmin) acc.push(member.userId);
@@ -770,19 +1054,34 @@ export const setNewMembers = async (
     }, []);
 
     // Emit an event to notify the new members about the new group chat
-    io.to(memberIds).emit('new_group_chat', {
+    const newGroupChat = {
       conversation: {
         ...conversation.dataValues,
         members: [...conversation.dataValues.members, ...newMembersProfile],
         adminIds,
         hasInitialNextPage: false
       }
+    };
+
+    io.to(memberIds).emit('new_group_chat', newGroupChat);
+    await recordChanges(memberIds, 'new_group_chat', newGroupChat);
+
+    // The last seen date of the new members is only returned to the current user, for the members that share it with them
+    const newMembers = await db.Member.findAll({
+      where: { conversationId, userId: { [Op.in]: memberIds } },
+      include: {
+        model: db.User,
+        as: 'profile',
+        attributes: ['userId', 'username', 'image', 'lastSeenAt']
+      }
     });
 
+    await hideLastSeen(newMembers, currentUserId);
+
     // Return the status of the operation and the details of the new members added
     return {
       status: successJson.status.created,
-      newMembers: newMembersProfile
+      newMembers
     };
   } catch (err) {
     // Handle any errors that occur during the execution
@@ -804,31 +1103,53 @@ export const deleteMember = async (conversationId, currentUserId, memberId) => {
       throw new MissingSystemDataError('DELETE_MEMBER', { conversationId });
     }
 
-    // Delete the specified member from the conversation
+    // Delete the specified member from the conversation, with the messages they starred in it
     await db.Member.destroy({
       where: { conversationId, userId: memberId }
     });
+    await db.StarredMessage.destroy({
+      where: { conversationId, userId: memberId }
+    });
 
     // Emit an event to notify the deleted member about the removal from the conversation
     if (currentUserId !== memberId)
       io.to(memberId).emit('remove_conversation', { conversationId });
 
-    // Leave the conversation room
-    const socket = io.sockets.sockets.get(memberId);
-    if (socket) socket.leave(conversationId);
+    // Leave the conversation room on all the devices of the member
+    io.in(memberId).socketsLeave(conversationId);
+
+    // Clear user data cache of the removed member and the remaining members
+    const remainingMembers = await db.Member.findAll({
+      where: { conversationId },
+      attributes: ['userId']
+    });
 
-    // Clear user data cache
-    await redisClient.del(`user_data:${memberId}`);
+    await redisClient.del(
+      `user_data:${memberId}`,
+      ...remainingMembers.map((member) => `user_data:${member.userId}`)
+    );
 
     // Emit an event to notify other conversation members about the removed member
+    const update = {
+      conversationId,
+      field: 'members',
+      action: 'removeMember',
+      data: { memberId }
+    };
+
     io.to(conversationId)
       .except([currentUserId, memberId])
-      .emit('update_conversation', {
-        conversationId,
-        field: 'members',
-        action: 'removeMember',
-        data: { memberId }
-      });
+      .emit('update_conversation', update);
+
+    // Record the removal for the devices that are offline
+    await Promise.all([
+      recordChanges([memberId], 'remove_conversation', { conversationId }),
+      recordChanges(
+        remainingMembers.map((member) => member.userId),
+        'update_conversation',
+        update
+      )
+    ]);
 
     // Return the status of the operation
     return { status: successJson.status.no_content };
@@ -869,12 +1190,22 @@ export const setAdminStatus = async (
     );
 
     // Emit an event to notify other conversation members about the admin status change
-    io.to(conversationId).except(currentUserId).emit('update_conversation', {
+    const update = {
       conversationId,
       field: 'adminIds',
       action: setStatus,
       data: { memberId }
-    });
+    };
+
+    io.to(conversationId)
+      .except(currentUserId)
+      .emit('update_conversation', update);
+
+    await recordConversationChange(
+      conversationId,
+      'update_conversation',
+      update
+    );
 
     // Return the status of the operation
     return { status: successJson.status.ok };
@@ -884,6 +1215,228 @@ export const setAdminStatus = async (
   }
 };
 
+/**
+ * Sets the slow mode of a group conversation, limiting the members (except the admins) to one message every interval.
+ *
+ * @param {string} conversationId - The ID of the group conversation.
+ * @param {string} currentUserId - The ID of the current user performing the operation.
+ * @param {number} slowModeInterval - The number of seconds between two messages of a member (0 to turn slow mode off).
+ * @returns {Promise<{ status: string }> | { error: Error }} A promise resolving to an object containing the status of the operation, or an error object.
+ * @throws {ConversationAccessError} If the current user is not a member of the group.
+ * @throws {GroupAdminPermissionError} If the current user is not an admin of the group.
+ */
+export const setSlowMode = async (
+  conversationId,
+  currentUserId,
+  slowModeInterval
+) => {
+  try {
+    if (!conversationId) {
+      throw new MissingSystemDataError('SET_SLOW_MODE', { conversationId });
+    }
+
+    const member = await db.Member.findOne({
+      where: { conversationId, userId: currentUserId },
+      include: {
+        model: db.Conversation,
+        as: 'conversation',
+        attributes: ['isGroup']
+      }
+    });
+
+    if (!member || !member.conversation.isGroup)
+      throw new ConversationAccessError();
+
+    if (!member.isAdmin) throw new GroupAdminPermissionError();
+
+    await db.Conversation.update(
+      { slowModeInterval },
+      { where: { conversationId } }
+    );
+
+    // Emit an event to notify the conversation members about the new slow mode
+    const update = {
+      conversationId,
+      field: 'slowModeInterval',
+      data: { slowModeInterval }
+    };
+
+    io.to(conversationId)
+      .except(currentUserId)
+      .emit('update_conversation', update);
+
+    await recordConversationChange(
+      conversationId,
+      'update_conversation',
+      update
+    );
+
+    return { status: successJson.status.ok };
+  } catch (err) {
+    return { error: err };
+  }
+};
+
+/**
+ * Marks a conversation as read by the current user, up to a message or up to the last message.
+ *
+ * The messages not seen yet by the current user are marked as seen at once, their senders are notified
+ * ('set_status' event, as with the 'update_status' socket event) and the unread flag of the conversation is cleared.
+ * The updated read state is pushed to all the devices of the current user ('update_unread' event).
+ *
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {string} currentUserId - The ID of the current user.
+ * @param {string} [messageId] - The ID of the message to mark the conversation as read up to (the message included).
+ * @returns {Promise<{ status: string, readState: Object }> | { error: Error }} A promise resolving to an object containing the updated read state and status, or an error object.
+ * @throws {MissingSystemDataError} If conversationId is missing.
+ * @throws {ConversationAccessError} If the current user is not a member of the conversation.
+ * @throws {MessageNotFoundError} If the message is not visible to the current user.
+ */
+export const setConversationRead = async (
+  conversationId,
+  currentUserId,
+  messageId
+) => {
+  try {
+    if (!conversationId) {
+      throw new MissingSystemDataError('SET_CONVERSATION_READ', {
+        conversationId
+      });
+    }
+
+    const member = await db.Member.findOne({
+      where: { conversationId, userId: currentUserId }
+    });
+
+    if (!member) throw new ConversationAccessError();
+
+    const visibleMessages = {
+      conversationId,
+      sentAt: { [Op.gt]: member.dataValues.joinedAt }
+    };
+
+    let upToSequence = null;
+    if (!!messageId) {
+      const message = await db.Message.findOne({
+        where: { ...visibleMessages, messageId },
+        attributes: ['sequence'],
+        paranoid: false
+      });
+
+      if (!message) throw new MessageNotFoundError();
+
+      upToSequence = message.sequence ?? 0;
+    }
+
+    // The messages not seen yet by the current user up to the message (the messages sent before the sequence numbers were assigned are the oldest)
+    const messages = await db.Message.findAll({
+      where: {
+        ...visibleMessages,
+        ...(upToSequence !== null && {
+          [Op.or]: [
+            { sequence: { [Op.lte]: upToSequence } },
+            { sequence: null }
+          ]
+        })
+      },
+      attributes: ['messageId', 'senderId'],
+      include: {
+        model: db.MessageStatus,
+        as: 'status',
+        where: { userId: currentUserId, seenAt: null },
+        attributes: ['deliverAt']
+      },
+      paranoid: false
+    });
+
+    const seenAt = new Date();
+    let [readState] =
+      messages.length > 0
+        ? await markMessagesSeen(
+            currentUserId,
+            messages.map((message) => message.messageId),
+            seenAt
+          )
+        : [];
+
+    // Clear the unread flag even if there were no messages left to see
+    if (!readState) {
+      const [, [updatedMember]] = await db.Member.update(
+        { isMarkedUnread: false },
+        {
+          where: { conversationId, userId: currentUserId },
+          returning: true
+        }
+      );
+
+      readState = formatReadState(updatedMember);
+    }
+
+    // Notify the senders that their messages were seen (and delivered, for the messages that were not delivered yet)
+    const receipts = messages.map((message) => ({
+      senderId: message.senderId,
+      status: {
+        conversationId,
+        messageId: message.messageId,
+        ...(!message.status[0]?.deliverAt && { deliverAt: seenAt }),
+        seenAt,
+        type: 'seen'
+      }
+    }));
+
+    receipts.forEach(({ senderId, status }) =>
+      io.to(senderId).emit('set_status', status, currentUserId)
+    );
+
+    await Promise.all([
+      pushReadStates(currentUserId, [readState]),
+      ...receipts.map(({ senderId, status }) =>
+        recordChanges([senderId], 'set_status', status, currentUserId)
+      )
+    ]);
+
+    return { status: successJson.status.ok, readState };
+  } catch (err) {
+    return { error: err };
+  }
+};
+
+/**
+ * Flags a conversation as unread by the current user, until the user reads it again.
+ *
+ * The updated read state is pushed to all the devices of the current user ('update_unread' event).
+ *
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {string} currentUserId - The ID of the current user.
+ * @returns {Promise<{ status: string, readState: Object }> | { error: Error }} A promise resolving to an object containing the updated read state and status, or an error object.
+ * @throws {MissingSystemDataError} If conversationId is missing.
+ * @throws {ConversationAccessError} If the current user is not a member of the conversation.
+ */
+export const setConversationUnread = async (conversationId, currentUserId) => {
+  try {
+    if (!conversationId) {
+      throw new MissingSystemDataError('SET_CONVERSATION_UNREAD', {
+        conversationId
+      });
+    }
+
+    const [, [member]] = await db.Member.update(
+      { isMarkedUnread: true },
+      { where: { conversationId, userId: currentUserId }, returning: true }
+    );
+
+    if (!member) throw new ConversationAccessError();
+
+    const readState = formatReadState(member);
+
+    await pushReadStates(currentUserId, [readState]);
+
+    return { status: successJson.status.ok, readState };
+  } catch (err) {
+    return { error: err };
+  }
+};
+
 /**
  * Deletes a group conversation.
  *
@@ -909,18 +1462,24 @@ export const deleteConversation = async (conversationId, currentUserId) => {
 
     // Notify each member of the deleted conversation and remove them from the conversation room
     conversation.dataValues.members.forEach((member) => {
-      const socket = io.sockets.sockets.get(member.userId);
-
-      if (socket && member.userId !== currentUserId) {
-        // Emit event to notify the member about the deletion and leave the conversation room
+      // Emit event to notify the member about the deletion
+      if (member.userId !== currentUserId)
         io.to(member.userId).emit('remove_conversation', { conversationId });
-        socket.leave(conversationId);
-      }
+
+      // Leave the conversation room on all the devices of the member
+      io.in(member.userId).socketsLeave(conversationId);
 
       // Clear user data cache
       redisClient.del(`user_data:${member.userId}`);
     });
 
+    // Record the deletion for the devices that are offline
+    await recordChanges(
+      conversation.dataValues.members.map((member) => member.userId),
+      'remove_conversation',
+      { conversationId }
+    );
+
     // Return the status of the operation
     return { status: successJson.status.no_content };
   } catch (err) {
@@ -949,12 +1508,21 @@ export const removeConversation = async (conversationId, currentUserId) => {
       include: ['members']
     });
 
-    // Update the joinedAt timestamp for the current user to the last message timestamp
+    // Update the joinedAt timestamp for the current user to the last message timestamp, the previous messages are no longer unread
     await db.Member.update(
-      { joinedAt: conversation.dataValues.lastMessageAt },
+      {
+        joinedAt: conversation.dataValues.lastMessageAt,
+        unreadCount: 0,
+        lastReadMessageId: null
+      },
       { where: { conversationId, userId: currentUserId } }
     );
 
+    // The previous messages are no longer visible, so they are no longer starred either
+    await db.StarredMessage.destroy({
+      where: { conversationId, userId: currentUserId }
+    });
+
     // Find the other member in the conversation
     const otherMember = conversation.dataValues.members.find(
       (member) => member.userId !== currentUserId
@@ -1,3 +1,6 @@
 export * as contactService from './contact.service.js';
 export * as conversationService from './conversation.service.js';
+export * as messageService from './message.service.js';
+export * as searchService from './search.service.js';
+export * as syncService from './sync.service.js';
 export * as userService from './user.service.js';
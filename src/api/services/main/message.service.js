@@ -0,0 +1,521 @@
+import { Op } from 'sequelize';
+import db from '../../models/index.js';
+import { io } from '../../../app.js';
+import successJson from '../../../config/success.json' assert { type: 'json' };
+import {
+  ConversationAccessError,
+  MessageNotFoundError,
+  MessagePermissionError,
+  MissingSystemDataError
+} from '../../helpers/ErrorTypes.helper.js';
+import {
+  formatReplySnippet,
+  notHiddenFor
+} from '../../helpers/MessageFormat.helper.js';
+import { recordChanges } from '../../helpers/ChangeLog.helper.js';
+import { decodeCursor, encodeCursor } from '../../helpers/Cursor.helper.js';
+
+// The number of starred messages returned at once
+const STARRED_PAGE_SIZE = 20;
+
+/**
+ * Finds the membership of a user in a conversation.
+ *
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} A promise resolving to the member instance.
+ * @throws {ConversationAccessError} If the user is not a member of the conversation.
+ */
+const findMember = async (conversationId, userId) => {
+  const member = await db.Member.findOne({ where: { conversationId, userId } });
+
+  if (!member) throw new ConversationAccessError();
+
+  return member;
+};
+
+/**
+ * Builds the condition of the messages of a conversation that are visible to a member:
+ * the messages sent after they joined the conversation and not deleted for them only.
+ *
+ * @param {object} member - The member instance.
+ * @returns {object} The Sequelize where condition of the visible messages.
+ */
+const visibleMessagesOf = (member) => ({
+  conversationId: member.conversationId,
+  sentAt: { [Op.gt]: member.dataValues.joinedAt },
+  messageId: notHiddenFor(member.userId)
+});
+
+/**
+ * Finds a message of a conversation that is visible to a member.
+ *
+ * @param {object} member - The member instance.
+ * @param {string} messageId - The ID of the message.
+ * @param {object} [options] - The other options of the query (attributes, include, order, paranoid).
+ * @returns {Promise<object>} A promise resolving to the message instance.
+ * @throws {MessageNotFoundError} If the message does not belong to the conversation or is not visible to the member.
+ */
+const findVisibleMessage = async (member, messageId, options = {}) => {
+  const message = await db.Message.findOne({
+    ...options,
+    where: { ...visibleMessagesOf(member), [Op.and]: [{ messageId }] }
+  });
+
+  if (!message) throw new MessageNotFoundError();
+
+  return message;
+};
+
+/**
+ * Fetches a message and all the replies to it as a thread.
+ *
+ * @param {string} conversationId - The ID of the conversation the message belongs to.
+ * @param {string} currentUserId - The ID of the current user.
+ * @param {string} messageId - The ID of the message to fetch the replies of.
+ * @returns {Promise<{ status: string, message: Object, items: Array<Object> }> | { error: Error }}
+    A promise resolving to an object containing the replied message, its replies (oldest first) and status, or an error object.
+    The messages deleted for everyone are sent as snippets, without their content.
+ * @throws {MissingSystemDataError} If conversationId or messageId is missing.
+ * @throws {ConversationAccessError} If the current user is not a member of the conversation.
+ * @throws {MessageNotFoundError} If the message does not belong to the conversation or is not visible to the current user.
+ */
+export const fetchReplies = async (
+  conversationId,
+  currentUserId,
+  messageId
+) => {
+  try {
+    if (!conversationId || !messageId) {
+      throw new MissingSystemDataError('FETCH_REPLIES', {
+        conversationId,
+        messageId
+      });
+    }
+
+    const member = await findMember(conversationId, currentUserId);
+
+    const senderInclude = {
+      model: db.User,
+      as: 'sender',
+      attributes: ['userId', 'username', 'image', 'deletedAt'],
+      paranoid: false
+    };
+
+    const message = await findVisibleMessage(member, messageId, {
+      include: senderInclude,
+      paranoid: false // Replies can still be viewed after the message is deleted
+    });
+
+    const replies = await db.Message.findAll({
+      where: { ...visibleMessagesOf(member), replyToMessageId: messageId },
+      include: senderInclude,
+      order: [
+        ['sequence', 'ASC NULLS FIRST'],
+        ['sentAt', 'ASC']
+      ],
+      paranoid: false // Include soft-deleted messages
+    });
+
+    // The content of a message deleted for everyone is not sent, only a snippet to render it as deleted
+    const formatVisible = (message) =>
+      !!message.getDataValue('deletedAt')
+        ? formatReplySnippet(message)
+        : message;
+
+    return {
+      status: successJson.status.ok,
+      message: formatVisible(message),
+      items: replies.map(formatVisible)
+    };
+  } catch (err) {
+    return { error: err };
+  }
+};
+
+/**
+ * Fetches the users that reacted to a message, grouped by the emoji they reacted with.
+ *
+ * @param {string} conversationId - The ID of the conversation the message belongs to.
+ * @param {string} currentUserId - The ID of the current user.
+ * @param {string} messageId - The ID of the message to fetch the reactions of.
+ * @returns {Promise<{ status: string, reactions: { [emoji: string]: Array<{ userId: string, username: string, image: string, reactedAt: Date }> } }> | { error: Error }}
+    A promise resolving to an object containing the grouped reactions and status, or an error object.
+ * @throws {MissingSystemDataError} If conversationId or messageId is missing.
+ * @throws {ConversationAccessError} If the current user is not a member of the conversation.
+ * @throws {MessageNotFoundError} If the message does not belong to the conversation or is not visible to the current user.
+ */
+export const fetchReactions = async (
+  conversationId,
+  currentUserId,
+  messageId
+) => {
+  try {
+    if (!conversationId || !messageId) {
+      throw new MissingSystemDataError('FETCH_REACTIONS', {
+        conversationId,
+        messageId
+      });
+    }
+
+    const member = await findMember(conversationId, currentUserId);
+
+    await findVisibleMessage(member, messageId, { attributes: ['messageId'] });
+
+    const reactions = await db.MessageReaction.findAll({
+      where: { messageId },
+      include: {
+        model: db.User,
+        as: 'profile',
+        attributes: ['userId', 'username', 'image', 'deletedAt'],
+        paranoid: false
+      },
+      order: [['reactedAt', 'ASC']]
+    });
+
+    const groupedReactions = reactions.reduce((acc, reaction) => {
+      const { emoji, reactedAt, profile } = reaction;
+
+      if (!acc[emoji]) acc[emoji] = [];
+      acc[emoji].push({ ...profile.dataValues, reactedAt });
+
+      return acc;
+    }, {});
+
+    return {
+      status: successJson.status.ok,
+      reactions: groupedReactions
+    };
+  } catch (err) {
+    return { error: err };
+  }
+};
+
+/**
+ * Fetches the previous versions of an edited message.
+ *
+ * @param {string} conversationId - The ID of the conversation the message belongs to.
+ * @param {string} currentUserId - The ID of the current user.
+ * @param {string} messageId - The ID of the message to fetch the revisions of.
+ * @returns {Promise<{ status: string, message: Object, items: Array<{ revisionId: string, content: string, revisedAt: Date }> }> | { error: Error }}
+    A promise resolving to an object containing the current message, its previous versions (oldest first) and status, or an error object.
+ * @throws {MissingSystemDataError} If conversationId or messageId is missing.
+ * @throws {ConversationAccessError} If the current user is not a member of the conversation.
+ * @throws {MessageNotFoundError} If the message does not belong to the conversation, was deleted or is not visible to the current user.
+ */
+export const fetchRevisions = async (
+  conversationId,
+  currentUserId,
+  messageId
+) => {
+  try {
+    if (!conversationId || !messageId) {
+      throw new MissingSystemDataError('FETCH_REVISIONS', {
+        conversationId,
+        messageId
+      });
+    }
+
+    const member = await findMember(conversationId, currentUserId);
+
+    const message = await findVisibleMessage(member, messageId, {
+      attributes: ['messageId', 'content', 'updatedAt', 'revisionCount'],
+      include: {
+        model: db.MessageRevision,
+        as: 'revisions',
+        attributes: ['revisionId', 'content', 'revisedAt']
+      },
+      order: [
+        [{ model: db.MessageRevision, as: 'revisions' }, 'revisedAt', 'ASC']
+      ]
+    });
+
+    const { revisions, ...otherFields } = message.dataValues;
+
+    return {
+      status: successJson.status.ok,
+      message: otherFields,
+      items: revisions
+    };
+  } catch (err) {
+    return { error: err };
+  }
+};
+
+/**
+ * Fetches the receipts of a message, with when each of its recipients received and saw it.
+ *
+ * Only the sender of the message and the admins of the group can view its receipts.
+ *
+ * @param {string} conversationId - The ID of the conversation the message belongs to.
+ * @param {string} currentUserId - The ID of the current user.
+ * @param {string} messageId - The ID of the message to fetch the receipts of.
+ * @returns {Promise<{ status: string, items: Array<{ userId: string, username: string, image: string, deliverAt: Date, seenAt: Date }>, deliverCount: number, seenCount: number }> | { error: Error }}
+    A promise resolving to an object containing the receipt of each recipient (the latest seen first), the delivery and seen counts and status, or an error object.
+ * @throws {MissingSystemDataError} If conversationId or messageId is missing.
+ * @throws {ConversationAccessError} If the current user is not a member of the conversation.
+ * @throws {MessageNotFoundError} If the message does not belong to the conversation or was deleted.
+ * @throws {MessagePermissionError} If the current user is neither the sender of the message nor an admin of the group.
+ */
+export const fetchReceipts = async (
+  conversationId,
+  currentUserId,
+  messageId
+) => {
+  try {
+    if (!conversationId || !messageId) {
+      throw new MissingSystemDataError('FETCH_RECEIPTS', {
+        conversationId,
+        messageId
+      });
+    }
+
+    const member = await findMember(conversationId, currentUserId);
+
+    const message = await db.Message.findOne({
+      where: { messageId, conversationId },
+      attributes: ['messageId', 'senderId']
+    });
+
+    if (!message) throw new MessageNotFoundError();
+
+    if (message.senderId !== currentUserId && !member.isAdmin)
+      throw new MessagePermissionError('receipts');
+
+    const receipts = await db.MessageStatus.findAll({
+      where: { messageId },
+      attributes: ['deliverAt', 'seenAt'],
+      include: {
+        model: db.User,
+        as: 'profile',
+        attributes: ['userId', 'username', 'image', 'deletedAt'],
+        paranoid: false
+      },
+      order: [
+        ['seenAt', 'DESC NULLS LAST'],
+        ['deliverAt', 'DESC NULLS LAST']
+      ]
+    });
+
+    let deliverCount = 0;
+    let seenCount = 0;
+
+    const items = receipts.map((receipt) => {
+      const { deliverAt, seenAt, profile } = receipt;
+
+      if (!!deliverAt) deliverCount += 1;
+      if (!!seenAt) seenCount += 1;
+
+      return { ...profile.dataValues, deliverAt, seenAt };
+    });
+
+    return {
+      status: successJson.status.ok,
+      items,
+      deliverCount,
+      seenCount
+    };
+  } catch (err) {
+    return { error: err };
+  }
+};
+
+/**
+ * Notifies all the devices of a user that a message was starred or unstarred, and records it for the devices that are offline.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} update - The star update.
+ * @returns {Promise<void>}
+ */
+const pushStarUpdate = async (userId, update) => {
+  io.to(userId).emit('update_star', update);
+
+  await recordChanges([userId], 'update_star', update);
+};
+
+/**
+ * Stars a message for the current user, to find it later in the starred messages.
+ *
+ * @param {string} conversationId - The ID of the conversation the message belongs to.
+ * @param {string} currentUserId - The ID of the current user.
+ * @param {string} messageId - The ID of the message to star.
+ * @returns {Promise<{ status: string, star: { messageId: string, conversationId: string, starredAt: Date } }> | { error: Error }}
+    A promise resolving to an object containing the star and status, or an error object.
+ * @throws {MissingSystemDataError} If conversationId or messageId is missing.
+ * @throws {ConversationAccessError} If the current user is not a member of the conversation.
+ * @throws {MessageNotFoundError} If the message does not belong to the conversation, was deleted or is not visible to the current user.
+ */
+export const setStar = async (conversationId, currentUserId, messageId) => {
+  try {
+    if (!conversationId || !messageId) {
+      throw new MissingSystemDataError('SET_STAR', {
+        conversationId,
+        messageId
+      });
+    }
+
+    const member = await findMember(conversationId, currentUserId);
+
+    // Only the messages visible to the current user can be starred
+    const message = await db.Message.findOne({
+      where: {
+        conversationId,
+        messageId: { [Op.eq]: messageId, ...notHiddenFor(currentUserId) },
+        sentAt: { [Op.gt]: member.dataValues.joinedAt }
+      },
+      attributes: ['messageId']
+    });
+
+    if (!message) throw new MessageNotFoundError();
+
+    // The date is set here rather than by the database, to keep the page cursors exact to the millisecond
+    const [star, created] = await db.StarredMessage.findOrCreate({
+      where: { userId: currentUserId, messageId },
+      defaults: { conversationId, starredAt: new Date() }
+    });
+
+    const formattedStar = {
+      messageId,
+      conversationId,
+      starredAt: star.starredAt
+    };
+
+    // Only notify the other devices if the message was not already starred
+    if (created)
+      await pushStarUpdate(currentUserId, {
+        ...formattedStar,
+        action: 'star'
+      });
+
+    return {
+      status: created ? successJson.status.created : successJson.status.ok,
+      star: formattedStar
+    };
+  } catch (err) {
+    return { error: err };
+  }
+};
+
+/**
+ * Unstars a message for the current user.
+ *
+ * @param {string} conversationId - The ID of the conversation the message belongs to.
+ * @param {string} currentUserId - The ID of the current user.
+ * @param {string} messageId - The ID of the message to unstar.
+ * @returns {Promise<{ status: string }> | { error: Error }} A promise resolving to an object containing the status of the operation, or an error object.
+ * @throws {MissingSystemDataError} If conversationId or messageId is missing.
+ */
+export const removeStar = async (conversationId, currentUserId, messageId) => {
+  try {
+    if (!conversationId || !messageId) {
+      throw new MissingSystemDataError('REMOVE_STAR', {
+        conversationId,
+        messageId
+      });
+    }
+
+    const removed = await db.StarredMessage.destroy({
+      where: { userId: currentUserId, messageId, conversationId }
+    });
+
+    if (!!removed)
+      await pushStarUpdate(currentUserId, {
+        messageId,
+        conversationId,
+        action: 'unstar'
+      });
+
+    return { status: successJson.status.no_content };
+  } catch (err) {
+    return { error: err };
+  }
+};
+
+/**
+ * Fetches the messages starred by the current user across all the conversations, the most recently starred first.
+ *
+ * The stars are removed when the message is deleted for everyone or when the user leaves the conversation,
+ * so every starred message returned is still visible to the user.
+ *
+ * @param {string} currentUserId - The ID of the current user.
+ * @param {string} [cursor] - The cursor of the last starred message of the previous page (the first page if missing).
+ * @returns {Promise<{ status: string, items: Array<{ messageId: string, conversationId: string, starredAt: Date, message: Object, conversation: Object }>, nextCursor: string | null }> | { error: Error }}
+    A promise resolving to an object containing the starred messages with their conversation, the cursor of the next page and status, or an error object.
+ */
+export const fetchStarredMessages = async (currentUserId, cursor) => {
+  try {
+    const after = decodeCursor(cursor);
+
+    const stars = await db.StarredMessage.findAll({
+      where: {
+        userId: currentUserId,
+        ...(!!after && {
+          [Op.or]: [
+            { starredAt: { [Op.lt]: after.date } },
+            { starredAt: after.date, messageId: { [Op.lt]: after.id } }
+          ]
+        })
+      },
+      include: [
+        {
+          model: db.Message,
+          as: 'message',
+          attributes: [
+            'messageId',
+            'content',
+            'fileUrl',
+            'sequence',
+            'sentAt',
+            'updatedAt',
+            'revisionCount'
+          ],
+          include: {
+            model: db.User,
+            as: 'sender',
+            attributes: ['userId', 'username', 'image', 'deletedAt'],
+            paranoid: false
+          },
+          required: true
+        },
+        {
+          model: db.Conversation,
+          as: 'conversation',
+          attributes: ['conversationId', 'name', 'image', 'isGroup']
+        }
+      ],
+      order: [
+        ['starredAt', 'DESC'],
+        ['messageId', 'DESC']
+      ],
+      limit: STARRED_PAGE_SIZE + 1
+    });
+
+    // Check if there are more starred messages to load
+    let nextCursor = null;
+    if (stars.length > STARRED_PAGE_SIZE) {
+      stars.pop(); // Remove the extra star used to determine the next page
+      const lastStar = stars[stars.length - 1];
+      nextCursor = encodeCursor(
+        lastStar.getDataValue('starredAt'),
+        lastStar.messageId
+      );
+    }
+
+    const items = stars.map((star) => {
+      const { messageId, conversationId, starredAt, message, conversation } =
+        star;
+
+      return {
+        messageId,
+        conversationId,
+        starredAt,
+        message: message.dataValues,
+        conversation: conversation.dataValues
+      };
+    });
+
+    return { status: successJson.status.ok, items, nextCursor };
+  } catch (err) {
+    return { error: err };
+  }
+};
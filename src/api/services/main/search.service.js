@@ -0,0 +1,205 @@
+import db from '../../models/index.js';
+import successJson from '../../../config/success.json' assert { type: 'json' };
+import {
+  ConversationAccessError,
+  MissingSystemDataError
+} from '../../helpers/ErrorTypes.helper.js';
+import { decodeCursor, encodeCursor } from '../../helpers/Cursor.helper.js';
+import { headlineSql, searchQuerySql } from '../../helpers/Search.helper.js';
+
+// The number of search results returned at once
+const PAGE_SIZE = 20;
+
+/**
+ * Searches the content of the messages of all the conversations of the current user.
+ *
+ * Only the messages sent after the current user joined each conversation are searched, excluding the messages
+ * deleted for everyone or for the current user. The results are ordered from the newest message and paginated with a cursor.
+ *
+ * @param {string} currentUserId - The ID of the current user.
+ * @param {string} terms - The search terms (web search syntax: quoted phrases, OR and - to exclude a word).
+ * @param {object} [filters] - The filters of the search.
+ * @param {string} [filters.conversationId] - Only search the messages of this conversation.
+ * @param {string} [filters.senderId] - Only search the messages sent by this user.
+ * @param {Date} [filters.from] - Only search the messages sent from this date.
+ * @param {Date} [filters.to] - Only search the messages sent until this date.
+ * @param {boolean} [filters.hasAttachment] - Only search the messages with (true) or without (false) a file.
+ * @param {string} [cursor] - The cursor of the last result of the previous page (the first page if missing).
+ * @returns {Promise<{ status: string, items: Array<Object>, nextCursor: string | null }> | { error: Error }}
+    A promise resolving to an object containing the matching messages with their highlighted snippet, the cursor of the next page and status, or an error object.
+ */
+export const searchMessages = async (
+  currentUserId,
+  terms,
+  filters = {},
+  cursor
+) => {
+  const { conversationId, senderId, from, to, hasAttachment } = filters;
+  try {
+    const after = decodeCursor(cursor);
+    const query = searchQuerySql(db.sequelize, terms);
+
+    const [messages] = await db.sequelize.query(
+      `
+        SELECT m."messageId", m."conversationId", m."content", m."fileUrl", m."sequence", m."sentAt",
+          ${headlineSql(db.sequelize, 'm."content"', query)} AS "snippet",
+          c."name" AS "conversationName", c."isGroup",
+          u."userId", u."username", u."image", u."deletedAt"
+        FROM messages AS m
+        JOIN members AS mb ON mb."conversationId" = m."conversationId" AND mb."userId" = :currentUserId
+        JOIN conversations AS c ON c."conversationId" = m."conversationId"
+        LEFT JOIN users AS u ON u."userId" = m."senderId"
+        WHERE m."searchVector" @@ ${query}
+        AND m."sentAt" > mb."joinedAt"
+        AND m."deletedAt" IS NULL
+        AND m."messageId" NOT IN (
+          SELECT "messageId" FROM hiddenmessages WHERE "userId" = :currentUserId
+        )
+        ${!!conversationId ? 'AND m."conversationId" = :conversationId' : ''}
+        ${!!senderId ? 'AND m."senderId" = :senderId' : ''}
+        ${!!from ? 'AND m."sentAt" >= :from' : ''}
+        ${!!to ? 'AND m."sentAt" <= :to' : ''}
+        ${
+          hasAttachment !== undefined
+            ? `AND m."fileUrl" IS ${hasAttachment ? 'NOT NULL' : 'NULL'}`
+            : ''
+        }
+        ${!!after ? 'AND (m."sentAt", m."messageId") < (:date, :id)' : ''}
+        ORDER BY m."sentAt" DESC, m."messageId" DESC
+        LIMIT :limit;
+      `,
+      {
+        replacements: {
+          currentUserId,
+          conversationId: conversationId ?? null,
+          senderId: senderId ?? null,
+          from: from ?? null,
+          to: to ?? null,
+          limit: PAGE_SIZE + 1,
+          ...(!!after && after)
+        }
+      }
+    );
+
+    // Check if there are more results to load
+    let nextCursor = null;
+    if (messages.length > PAGE_SIZE) {
+      messages.pop(); // Remove the extra result used to determine the next page
+      const { sentAt, messageId } = messages[messages.length - 1];
+      nextCursor = encodeCursor(sentAt, messageId);
+    }
+
+    const items = messages.map(
+      ({ userId, username, image, deletedAt, ...message }) => ({
+        ...message,
+        sender: { userId, username, image, deletedAt }
+      })
+    );
+
+    return { status: successJson.status.ok, items, nextCursor };
+  } catch (err) {
+    return { error: err };
+  }
+};
+
+/**
+ * Searches the content of the messages of a conversation, to jump between the matching messages.
+ *
+ * Each result has its position among all the matching messages (1 being the newest), with the total number of matches,
+ * and its sequence number, to load the messages around it (see fetchMessages).
+ *
+ * @param {string} conversationId - The ID of the conversation to search.
+ * @param {string} currentUserId - The ID of the current user.
+ * @param {string} terms - The search terms (web search syntax: quoted phrases, OR and - to exclude a word).
+ * @param {string} [cursor] - The cursor of the last result of the previous page (the first page if missing).
+ * @returns {Promise<{ status: string, items: Array<{ messageId: string, sequence: number, sentAt: Date, snippet: string, position: number }>, total: number, nextCursor: string | null }> | { error: Error }}
+    A promise resolving to an object containing the matching messages (the newest first), the total number of matches, the cursor of the next page and status, or an error object.
+ * @throws {MissingSystemDataError} If conversationId is missing.
+ * @throws {ConversationAccessError} If the current user is not a member of the conversation.
+ */
+export const searchConversationMessages = async (
+  conversationId,
+  currentUserId,
+  terms,
+  cursor
+) => {
+  // The results only contain the IDs and snippets of the messages, so more of them are returned at once
+  const CONVERSATION_PAGE_SIZE = 50;
+  try {
+    if (!conversationId) {
+      throw new MissingSystemDataError('SEARCH_CONVERSATION_MESSAGES', {
+        conversationId
+      });
+    }
+
+    const member = await db.Member.findOne({
+      where: { conversationId, userId: currentUserId }
+    });
+
+    if (!member) throw new ConversationAccessError();
+
+    const after = decodeCursor(cursor);
+    const query = searchQuerySql(db.sequelize, terms);
+
+    // The positions and the total are computed over all the matches, the snippets only for the page
+    const [messages] = await db.sequelize.query(
+      `
+        SELECT hits."messageId", hits."sequence", hits."sentAt",
+          ${headlineSql(db.sequelize, 'hits."content"', query)} AS "snippet",
+          hits."position", hits."total"
+        FROM (
+          SELECT m."messageId", m."sequence", m."sentAt", m."content",
+            ROW_NUMBER() OVER (ORDER BY m."sentAt" DESC, m."messageId" DESC) AS "position",
+            COUNT(*) OVER () AS "total"
+          FROM messages AS m
+          WHERE m."conversationId" = :conversationId
+          AND m."searchVector" @@ ${query}
+          AND m."sentAt" > :joinedAt
+          AND m."deletedAt" IS NULL
+          AND m."messageId" NOT IN (
+            SELECT "messageId" FROM hiddenmessages WHERE "userId" = :currentUserId
+          )
+        ) AS hits
+        ${
+          !!after
+            ? 'WHERE (hits."sentAt", hits."messageId") < (:date, :id)'
+            : ''
+        }
+        ORDER BY hits."position"
+        LIMIT :limit;
+      `,
+      {
+        replacements: {
+          conversationId,
+          currentUserId,
+          joinedAt: member.getDataValue('joinedAt'),
+          limit: CONVERSATION_PAGE_SIZE + 1,
+          ...(!!after && after)
+        }
+      }
+    );
+
+    // Check if there are more results to load
+    let nextCursor = null;
+    if (messages.length > CONVERSATION_PAGE_SIZE) {
+      messages.pop(); // Remove the extra result used to determine the next page
+      const { sentAt, messageId } = messages[messages.length - 1];
+      nextCursor = encodeCursor(sentAt, messageId);
+    }
+
+    // The window functions return bigints, which are returned as strings
+    const items = messages.map(({ total, position, ...message }) => ({
+      ...message,
+      position: parseInt(position)
+    }));
+
+    return {
+      status: successJson.status.ok,
+      items,
+      total: messages.length > 0 ? parseInt(messages[0].total) : 0,
+      nextCursor
+    };
+  } catch (err) {
+    return { error: err };
+  }
+};
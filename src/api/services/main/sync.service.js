@@ -0,0 +1,103 @@
+import { redisClient } from '../../../lib/redis-client.js';
+import successJson from '../../../config/success.json' assert { type: 'json' };
+import {
+  CHANGE_LOG_LENGTH,
+  CHANGE_LOG_TTL,
+  changeLogKey
+} from '../../helpers/ChangeLog.helper.js';
+
+// The maximum number of changes returned at once
+const PAGE_SIZE = 100;
+
+/**
+ * Parses a change log cursor (Redis stream ID) into its timestamp and sequence number.
+ *
+ * @param {string} cursor - The cursor to parse.
+ * @returns {[number, number] | null} The timestamp and sequence number, or null if the cursor is invalid.
+ */
+const parseCursor = (cursor) => {
+  if (typeof cursor !== 'string' || !/^\d+-\d+$/.test(cursor)) return null;
+
+  return cursor.split('-').map(Number);
+};
+
+/**
+ * Fetches the changes recorded for the current user since the last cursor received by the client.
+ *
+ * Each change contains the socket event and the arguments it was emitted with, so the client can replay it.
+ * A full resync is required (and no changes are returned) when the cursor is missing, invalid or too old:
+ * - older than the expiry of the change log (CHANGE_LOG_TTL).
+ * - older than the oldest change kept, once the change log was capped to CHANGE_LOG_LENGTH changes.
+ * In that case the client should fetch its conversations again and sync from the returned cursor.
+ *
+ * @param {string} currentUserId - The ID of the current user.
+ * @param {string} [cursor] - The cursor of the last change received by the client.
+ * @returns {Promise<{ status: string, items: Array<{ cursor: string, event: string, args: Array<any> }>, cursor: string, hasNextPage: boolean, fullResync: boolean }> | { error: Error }}
+    A promise resolving to an object containing the changes (oldest first), the cursor to sync from next time and status, or an error object.
+ */
+export const fetchChanges = async (currentUserId, cursor) => {
+  try {
+    const key = changeLogKey(currentUserId);
+
+    const [[, [seconds, microseconds]], [, oldest], [, length]] =
+      await redisClient
+        .multi()
+        .time()
+        .xrange(key, '-', '+', 'COUNT', 1)
+        .xlen(key)
+        .exec();
+
+    const parsedCursor = parseCursor(cursor);
+    const now = seconds * 1000 + Math.floor(microseconds / 1000);
+    const oldestCursor = parseCursor(oldest[0]?.[0]);
+
+    const isTooOld =
+      !parsedCursor ||
+      parsedCursor[0] < now - CHANGE_LOG_TTL * 1000 ||
+      (length >= CHANGE_LOG_LENGTH &&
+        (parsedCursor[0] < oldestCursor[0] ||
+          (parsedCursor[0] === oldestCursor[0] &&
+            parsedCursor[1] < oldestCursor[1])));
+
+    if (isTooOld) {
+      const [latest] = await redisClient.xrevrange(key, '+', '-', 'COUNT', 1);
+
+      return {
+        status: successJson.status.ok,
+        items: [],
+        // Sync from the latest change, or from now if there are no changes
+        cursor: latest?.[0] ?? `${now}-0`,
+        hasNextPage: false,
+        fullResync: true
+      };
+    }
+
+    // The cursor is exclusive, the change it points to was already received
+    const entries = await redisClient.xrange(
+      key,
+      `(${cursor}`,
+      '+',
+      'COUNT',
+      PAGE_SIZE
+    );
+
+    const items = entries.map(([id, fields]) => {
+      // The fields of an entry are a flat list of names and values
+      const change = {};
+      for (let i = 0; i < fields.length; i += 2)
+        change[fields[i]] = fields[i + 1];
+
+      return { cursor: id, event: change.event, args: JSON.parse(change.args) };
+    });
+
+    return {
+      status: successJson.status.ok,
+      items,
+      cursor: items.length > 0 ? items[items.length - 1].cursor : cursor,
+      hasNextPage: items.length === PAGE_SIZE,
+      fullResync: false
+    };
+  } catch (err) {
+    return { error: err };
+  }
+};
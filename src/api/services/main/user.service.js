@@ -10,9 +10,14 @@ import {
   ChangePasswordError,
   SequelizeConstraintError
 } from '../../helpers/ErrorTypes.helper.js';
+import {
+  getPresenceAudience,
+  isUserOnline
+} from '../../helpers/Presence.helper.js';
 import { uploader } from '../../../lib/uploader.js';
 import { io } from '../../../app.js';
 import mailer from '../../../lib/mailer.js';
+import { fetchUserData } from '../auth/serialization.service.js';
 
 /**
  * Updates the user's profile data and performs additional actions such as caching updated user data and sending email verification if the email is updated.
@@ -149,15 +154,8 @@ export const deleteUser = async (currentUserId, conversationIds) => {
     // Clear cached user data
     await redisClient.del(`user_data:${currentUserId}`);
 
-    // Disconnect the socket to notify connected users about the user's online status change
-    const socket = io.sockets.sockets.get(currentUserId);
-    if (socket) {
-      // Leave all rooms
-      socket.leaveAll();
-
-      // Disconnect the socket
-      socket.disconnect();
-    }
+    // Disconnect the sockets of all the user's devices to notify connected users about the user's online status change
+    io.in(currentUserId).disconnectSockets();
 
     // Notify users who have this user as a contact about the account deletion
     const otherContactIds = user.otherContacts.map(
@@ -215,3 +213,49 @@ export const uploadAvatar = async (currentUserId, conversationIds, path) => {
     return { error: err };
   }
 };
+
+/**
+ * Updates who can see the current user's online status and last seen.
+ *
+ * If the user is online, the users that can no longer see it are notified that the user is offline (without the last seen date),
+ * and the users that can now see it are notified that the user is online.
+ *
+ * @param {string} currentUserId - The ID of the current user.
+ * @param {string} presencePrivacy - The new privacy setting ('everyone', 'contacts' or 'nobody').
+ * @returns {Promise<{ status: string }> | { error: Error }} A promise resolving to a success status or an error object.
+ */
+export const setPresencePrivacy = async (currentUserId, presencePrivacy) => {
+  try {
+    const previousAudience = getPresenceAudience(
+      await fetchUserData(currentUserId)
+    );
+
+    await db.User.update(
+      { presencePrivacy },
+      { where: { userId: currentUserId } }
+    );
+
+    // Clear cached user data
+    await redisClient.del(`user_data:${currentUserId}`);
+
+    if (await isUserOnline(currentUserId)) {
+      const audience = getPresenceAudience(await fetchUserData(currentUserId));
+
+      const hiddenFromIds = previousAudience.filter(
+        (userId) => !audience.includes(userId)
+      );
+      const shownToIds = audience.filter(
+        (userId) => !previousAudience.includes(userId)
+      );
+
+      if (hiddenFromIds.length > 0)
+        io.to(hiddenFromIds).emit('connected', false, [currentUserId], null);
+      if (shownToIds.length > 0)
+        io.to(shownToIds).emit('connected', true, [currentUserId]);
+    }
+
+    return { status: successJson.status.ok };
+  } catch (err) {
+    return { error: err };
+  }
+};
@@ -39,3 +39,22 @@ export function mainErrorFormatter(errors) {
 
   return new JoiValidationError(formattedError, 'main');
 }
+
+/**
+ * Formats the Joi validation errors of socket event data.
+ *
+ * The label of each error is the top-level field of the event data, so that the errors of nested
+ * fields (e.g. the messages of a status update) are reported on the field itself.
+ *
+ * @param {Joi.ValidationErrorItem[]} errors - Array of Joi validation errors.
+ * @returns {JoiValidationError} Custom error object containing formatted errors.
+ */
+export function socketErrorFormatter(errors) {
+  const formattedError = errors.reduce((acc, err) => {
+    acc.push({ code: err.code, label: err.path[0] ?? 'data' });
+
+    return acc;
+  }, []);
+
+  return new JoiValidationError(formattedError, 'socket');
+}
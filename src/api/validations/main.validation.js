@@ -35,6 +35,17 @@ export const changePasswordSchema = Joi.object({
   .options({ abortEarly: false })
   .error(mainErrorFormatter);
 
+/**
+ * Joi schema for validating the payload when updating the user's presence privacy.
+ *
+ * - presencePrivacy: Who can see the user's online status and last seen. Must be 'everyone', 'contacts' or 'nobody'.
+ */
+export const updatePrivacySchema = Joi.object({
+  presencePrivacy: Joi.string()
+    .valid('everyone', 'contacts', 'nobody')
+    .required()
+}).error(mainErrorFormatter);
+
 /**
  * Joi schema for validating the payload when creating a conversation.
  *
@@ -76,3 +87,66 @@ export const addMembersSchema = Joi.object({
 })
   .unknown()
   .error(mainErrorFormatter);
+
+/**
+ * Joi schema for validating the payload when setting the slow mode of a group conversation.
+ *
+ * - conversationId: The ID of the group conversation.
+ * - slowModeInterval: The number of seconds a member has to wait between two messages. Must be between 0 (off) and 3600.
+ */
+export const updateSlowModeSchema = Joi.object({
+  conversationId: Joi.string().required(),
+  slowModeInterval: Joi.number().integer().min(0).max(3600).required()
+}).error(mainErrorFormatter);
+
+/**
+ * Joi schema for validating the payload when marking a conversation as read.
+ *
+ * - messageId: The ID of the message to mark the conversation as read up to (optional, defaults to the last message).
+ */
+export const markReadSchema = Joi.object({
+  messageId: Joi.string().guid().allow(null)
+}).error(mainErrorFormatter);
+
+/**
+ * Joi schema for validating the query when searching messages.
+ *
+ * - q: The search terms. Must be between 2 and 100 characters long.
+ * - conversationId: Only search the messages of this conversation (optional).
+ * - senderId: Only search the messages sent by this user (optional).
+ * - from: Only search the messages sent from this date (optional).
+ * - to: Only search the messages sent until this date (optional).
+ * - hasAttachment: Only search the messages with (true) or without (false) a file (optional).
+ * - cursor: The cursor of the next page, returned with the previous page (optional).
+ */
+export const searchMessagesSchema = Joi.object({
+  q: Joi.string().trim().min(2).max(100).required(),
+  conversationId: Joi.string().guid(),
+  senderId: Joi.string().guid(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  hasAttachment: Joi.boolean(),
+  cursor: Joi.string()
+}).error(mainErrorFormatter);
+
+/**
+ * Joi schema for validating the query when searching the messages of a conversation.
+ *
+ * - q: The search terms. Must be between 2 and 100 characters long.
+ * - cursor: The cursor of the next page, returned with the previous page (optional).
+ */
+export const searchConversationSchema = Joi.object({
+  q: Joi.string().trim().min(2).max(100).required(),
+  cursor: Joi.string()
+}).error(mainErrorFormatter);
+
+/**
+ * Joi schema for validating the query when fetching the messages around a message.
+ *
+ * - before: The number of messages to fetch before the message. Must be between 0 and 50 (defaults to 10).
+ * - after: The number of messages to fetch after the message. Must be between 0 and 50 (defaults to 10).
+ */
+export const messageContextSchema = Joi.object({
+  before: Joi.number().integer().min(0).max(50).default(10),
+  after: Joi.number().integer().min(0).max(50).default(10)
+}).error(mainErrorFormatter);
@@ -0,0 +1,217 @@
+import Joi from 'joi';
+import { socketErrorFormatter } from './errorFormater.js';
+
+// The fields unknown to the schemas (e.g. the sentAt of a new message, assigned by the server) are removed from the event data
+const socketOptions = { abortEarly: false, stripUnknown: true };
+
+const id = Joi.string().guid();
+
+/**
+ * Joi schema for validating the data of the 'send_message' event.
+ *
+ * - conversationId: The ID of the conversation the message is sent to.
+ * - messageId: The ID of the message, generated by the client.
+ * - content: The content of the message. Required if there is no file.
+ * - file: The file attached to the message, with its type, size and data.
+ * - replyToMessageId: The ID of the message being replied to (optional).
+ */
+export const sendMessageSchema = Joi.object({
+  conversationId: id.required(),
+  messageId: id.required(),
+  content: Joi.string()
+    .max(4096)
+    .when('file', {
+      is: Joi.exist(),
+      then: Joi.allow(null, ''),
+      otherwise: Joi.required()
+    }),
+  file: Joi.object({
+    type: Joi.string().required(),
+    size: Joi.number().integer().min(0).required(),
+    data: Joi.any().required()
+  }),
+  replyToMessageId: id.allow(null)
+})
+  .required()
+  .options(socketOptions)
+  .error(socketErrorFormatter);
+
+/**
+ * Joi schema for validating the data of the 'forward_message' event.
+ *
+ * - conversationId: The ID of the conversation the message belongs to.
+ * - messageId: The ID of the message to forward.
+ * - targetConversationIds: The IDs of the conversations to forward the message to (between 1 and 5, without duplicates).
+ */
+export const forwardMessageSchema = Joi.object({
+  conversationId: id.required(),
+  messageId: id.required(),
+  targetConversationIds: Joi.array().items(id).min(1).max(5).unique().required()
+})
+  .required()
+  .options(socketOptions)
+  .error(socketErrorFormatter);
+
+/**
+ * Joi schema for validating the data of the 'update_status' event.
+ *
+ * Either a single message is updated (messageId and senderId), or several messages at once (messages).
+ *
+ * - messageId: The ID of the message.
+ * - senderId: The ID of the sender of the message.
+ * - conversationId: The ID of the conversation the message belongs to.
+ * - messages: The messages, each with its conversation ID, message ID and sender.
+ * - type: The type of the status update. Must be 'deliver' or 'seen'.
+ * - deliverAt: The date the message(s) were delivered. Required if the type is 'deliver'.
+ * - seenAt: The date the message(s) were seen. Required if the type is 'seen'.
+ */
+export const updateStatusSchema = Joi.object({
+  messageId: id.when('messages', { not: Joi.exist(), then: Joi.required() }),
+  senderId: id.when('messageId', { is: Joi.exist(), then: Joi.required() }),
+  conversationId: id,
+  messages: Joi.array()
+    .items(
+      Joi.object({
+        conversationId: id.required(),
+        messageId: id.required(),
+        sender: Joi.object({ userId: id.required() }).required()
+      })
+    )
+    .min(1)
+    .max(500),
+  type: Joi.string().valid('deliver', 'seen').required(),
+  deliverAt: Joi.date().when('type', {
+    is: 'deliver',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  seenAt: Joi.date().when('type', {
+    is: 'seen',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  })
+})
+  .oxor('messageId', 'messages')
+  .required()
+  .options(socketOptions)
+  .error(socketErrorFormatter);
+
+/**
+ * Joi schema for validating the data of the 'edit_message' event.
+ *
+ * - conversationId: The ID of the conversation the message belongs to.
+ * - messageId: The ID of the message.
+ * - content: The new content of the message.
+ * - updatedAt: The date the message was edited.
+ */
+export const editMessageSchema = Joi.object({
+  conversationId: id.required(),
+  messageId: id.required(),
+  content: Joi.string().max(4096).required(),
+  updatedAt: Joi.date().required()
+})
+  .required()
+  .options(socketOptions)
+  .error(socketErrorFormatter);
+
+/**
+ * Joi schema for validating the data of the 'delete_message' event.
+ *
+ * - conversationId: The ID of the conversation the message belongs to.
+ * - messageId: The ID of the message.
+ * - deletedAt: The date the message was deleted.
+ * - scope: Who the message is deleted for. Must be 'everyone' (default) or 'me'.
+ */
+export const deleteMessageSchema = Joi.object({
+  conversationId: id.required(),
+  messageId: id.required(),
+  deletedAt: Joi.date(),
+  scope: Joi.string().valid('everyone', 'me').default('everyone')
+})
+  .required()
+  .options(socketOptions)
+  .error(socketErrorFormatter);
+
+/**
+ * Joi schema for validating the data of the 'add_reaction' and 'remove_reaction' events.
+ *
+ * - conversationId: The ID of the conversation the message belongs to.
+ * - messageId: The ID of the message.
+ * - emoji: The emoji of the reaction.
+ */
+export const reactionSchema = Joi.object({
+  conversationId: id.required(),
+  messageId: id.required(),
+  emoji: Joi.string().max(32).required()
+})
+  .required()
+  .options(socketOptions)
+  .error(socketErrorFormatter);
+
+/**
+ * Joi schema for validating the data of the 'pin_message' and 'unpin_message' events.
+ *
+ * - conversationId: The ID of the conversation the message belongs to.
+ * - messageId: The ID of the message.
+ */
+export const pinSchema = Joi.object({
+  conversationId: id.required(),
+  messageId: id.required()
+})
+  .required()
+  .options(socketOptions)
+  .error(socketErrorFormatter);
+
+/**
+ * Joi schema for validating the data of the 'star_message' and 'unstar_message' events.
+ *
+ * - conversationId: The ID of the conversation the message belongs to.
+ * - messageId: The ID of the message.
+ */
+export const starSchema = Joi.object({
+  conversationId: id.required(),
+  messageId: id.required()
+})
+  .required()
+  .options(socketOptions)
+  .error(socketErrorFormatter);
+
+/**
+ * Joi schema for validating the data of the 'typing_start', 'recording_audio' and 'typing_stop' events.
+ *
+ * - conversationId: The ID of the conversation the user is typing in.
+ */
+export const typingSchema = Joi.object({
+  conversationId: id.required()
+})
+  .required()
+  .options(socketOptions)
+  .error(socketErrorFormatter);
+
+/**
+ * Joi schema for validating the data of the 'mark_read' event.
+ *
+ * - conversationId: The ID of the conversation to mark as read.
+ * - messageId: The ID of the message to mark the conversation as read up to (optional, defaults to the last message).
+ */
+export const markReadSchema = Joi.object({
+  conversationId: id.required(),
+  messageId: id.allow(null)
+})
+  .required()
+  .options(socketOptions)
+  .error(socketErrorFormatter);
+
+/**
+ * Joi schema for validating the data of the 'sync' event.
+ *
+ * - cursor: The cursor of the last change received by the device (optional).
+ */
+export const syncSchema = Joi.object({
+  cursor: Joi.string()
+    .pattern(/^\d+-\d+$/)
+    .allow(null)
+})
+  .required()
+  .options(socketOptions)
+  .error(socketErrorFormatter);
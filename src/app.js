@@ -1,27 +1,54 @@
 /**
- * This module sets up an Express app instance, an HTTP server instance, and a Socket.io instance.
+ * This module sets up an Express app instance, an HTTP server instance, and a Socket.io instance using the Redis adapter.
  * It also connects to a Redis instance and initializes session storage, and mounts routes and error handling middleware on the app.
  *
  * @module server.js
  */
 import { createServer } from 'http';
 import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import express from 'express';
 import session from 'express-session';
 import { passport } from './api/services/auth/index.service.js';
 import RedisStore from 'connect-redis';
-import { redisClient } from './lib/redis-client.js';
+import { redisClient, pubClient, subClient } from './lib/redis-client.js';
 import cors from 'cors';
 
 import {
+  handleAddReaction,
   handleConnect,
   handleDeleteMessage,
   handleDisconnect,
+  handleForwardMessage,
+  handleMarkRead,
   handleMessage,
   handleMessageEdit,
   handleMessageStatus,
+  handlePinMessage,
+  handleRemoveReaction,
+  handleStarMessage,
+  handleSync,
+  handleTyping,
+  handleTypingStop,
+  handleUnpinMessage,
+  handleUnstarMessage,
   initializeUser
 } from './api/controllers/socket.controller.js';
+import { socketValidation } from './api/middlewares/validation.middleware.js';
+import { socketRateLimiter } from './api/middlewares/rate-limit.middleware.js';
+import {
+  deleteMessageSchema,
+  editMessageSchema,
+  forwardMessageSchema,
+  markReadSchema,
+  pinSchema,
+  reactionSchema,
+  sendMessageSchema,
+  starSchema,
+  syncSchema,
+  typingSchema,
+  updateStatusSchema
+} from './api/validations/socket.validation.js';
 
 const corsOptions = {
   origin: process.env.CLIENT_URL,
@@ -36,7 +63,9 @@ const app = express();
 const server = createServer(app);
 const io = new Server(server, {
   cors: corsOptions,
-  maxHttpBufferSize: 5 * 1024 * 1024
+  maxHttpBufferSize: 5 * 1024 * 1024,
+  // Share rooms and broadcasts between the server instances through Redis
+  adapter: createAdapter(pubClient, subClient)
 });
 
 app.set('trust proxy', 1);
@@ -99,20 +128,129 @@ io.use((socket, next) => {
   next();
 });
 
+// The data of every event is validated before it is handled, the validation errors are sent back through the acknowledgement callback
 io.on('connection', async (socket) => {
+  // Limit the number of events the user can emit
+  socket.use(socketRateLimiter(socket));
+
   // when a user connects
   handleConnect(socket);
 
+  // when a device requests the changes it missed while it was offline
+  socket.on(
+    'sync',
+    socketValidation(syncSchema, (data, cb) => handleSync(socket, data, cb))
+  );
+
   // when a message is sent
-  socket.on('send_message', (data, cb) => handleMessage(socket, data, cb));
+  socket.on(
+    'send_message',
+    socketValidation(sendMessageSchema, (data, cb) =>
+      handleMessage(socket, data, cb)
+    )
+  );
+
+  // when a message is forwarded to other conversations
+  socket.on(
+    'forward_message',
+    socketValidation(forwardMessageSchema, (data, cb) =>
+      handleForwardMessage(socket, data, cb)
+    )
+  );
 
   // when a message is delivered to a user
-  socket.on('update_status', (data) => handleMessageStatus(socket, data));
+  socket.on(
+    'update_status',
+    socketValidation(updateStatusSchema, (data) =>
+      handleMessageStatus(socket, data)
+    )
+  );
 
-  socket.on('edit_message', (data, cb) => handleMessageEdit(socket, data, cb));
+  // when a conversation is marked as read
+  socket.on(
+    'mark_read',
+    socketValidation(markReadSchema, (data, cb) =>
+      handleMarkRead(socket, data, cb)
+    )
+  );
+
+  socket.on(
+    'edit_message',
+    socketValidation(editMessageSchema, (data, cb) =>
+      handleMessageEdit(socket, data, cb)
+    )
+  );
+
+  socket.on(
+    'delete_message',
+    socketValidation(deleteMessageSchema, (data, cb) =>
+      handleDeleteMessage(socket, data, cb)
+    )
+  );
+
+  // when a user reacts to a message
+  socket.on(
+    'add_reaction',
+    socketValidation(reactionSchema, (data, cb) =>
+      handleAddReaction(socket, data, cb)
+    )
+  );
+
+  socket.on(
+    'remove_reaction',
+    socketValidation(reactionSchema, (data, cb) =>
+      handleRemoveReaction(socket, data, cb)
+    )
+  );
+
+  // when a message is pinned/unpinned in a conversation
+  socket.on(
+    'pin_message',
+    socketValidation(pinSchema, (data, cb) =>
+      handlePinMessage(socket, data, cb)
+    )
+  );
+
+  socket.on(
+    'unpin_message',
+    socketValidation(pinSchema, (data, cb) =>
+      handleUnpinMessage(socket, data, cb)
+    )
+  );
+
+  // when a message is starred/unstarred by a user
+  socket.on(
+    'star_message',
+    socketValidation(starSchema, (data, cb) =>
+      handleStarMessage(socket, data, cb)
+    )
+  );
+
+  socket.on(
+    'unstar_message',
+    socketValidation(starSchema, (data, cb) =>
+      handleUnstarMessage(socket, data, cb)
+    )
+  );
+
+  // when a user starts/stops typing or recording an audio message
+  socket.on(
+    'typing_start',
+    socketValidation(typingSchema, (data) =>
+      handleTyping(socket, data, 'typing')
+    )
+  );
+
+  socket.on(
+    'recording_audio',
+    socketValidation(typingSchema, (data) =>
+      handleTyping(socket, data, 'recording')
+    )
+  );
 
-  socket.on('delete_message', (data, cb) =>
-    handleDeleteMessage(socket, data, cb)
+  socket.on(
+    'typing_stop',
+    socketValidation(typingSchema, (data) => handleTypingStop(socket, data))
   );
 
   // when a user disconnects
@@ -12,4 +12,9 @@ const redisClient = new Redis(
     : {}
 );
 
-export { redisClient };
+// Initialize the clients used by the Socket.io adapter to broadcast events across the server instances.
+// The subscriber client can only be used for Pub/Sub once subscribed, so both are separate connections.
+const pubClient = redisClient.duplicate();
+const subClient = redisClient.duplicate();
+
+export { redisClient, pubClient, subClient };
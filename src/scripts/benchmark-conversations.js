@@ -0,0 +1,97 @@
+/**
+ * Benchmarks the conversation list of a user, usually the one seeded by the seed-conversations script.
+ *
+ * Reports the number of queries and the time spent fetching the first page (averaged over BENCHMARK_ROUNDS rounds,
+ * defaults to 5), then for every page of the conversation list.
+ * Requires the database and Redis to be running, like the server.
+ *
+ * Usage: npm run benchmark:conversations -- <userId>
+ *
+ * @module benchmark-conversations.js
+ */
+import { performance } from 'perf_hooks';
+import db from '../api/models/index.js';
+import { fetchConversations } from '../api/services/main/conversation.service.js';
+
+const ROUNDS = parseInt(process.env.BENCHMARK_ROUNDS) || 5;
+
+let queryCount = 0;
+
+// Count the queries sent to the database instead of logging them
+db.sequelize.options.logging = () => (queryCount += 1);
+
+/**
+ * Fetches a page of the conversation list and measures it.
+ *
+ * @param {string} userId - The ID of the user to fetch the conversations of.
+ * @param {string} [cursor] - The cursor of the page.
+ * @returns {Promise<{ queries: number, time: number, conversations: number, nextCursor: string | null }>}
+ * The number of queries, the time in milliseconds, the number of conversations fetched and the cursor of the next page.
+ */
+const measurePage = async (userId, cursor) => {
+  queryCount = 0;
+  const start = performance.now();
+
+  const { conversations, nextCursor, error } = await fetchConversations(
+    userId,
+    cursor
+  );
+
+  if (error) throw error;
+
+  return {
+    queries: queryCount,
+    time: performance.now() - start,
+    conversations: Object.keys(conversations ?? {}).length,
+    nextCursor
+  };
+};
+
+(async function main() {
+  const userId = process.argv[2];
+
+  if (!userId) {
+    console.error('Usage: npm run benchmark:conversations -- <userId>');
+    process.exit(1);
+  }
+
+  // Warm up the connection pool before measuring
+  await measurePage(userId);
+
+  let totalTime = 0;
+  let firstPage;
+  for (let i = 0; i < ROUNDS; i++) {
+    firstPage = await measurePage(userId);
+    totalTime += firstPage.time;
+  }
+
+  console.log(
+    `First page: ${firstPage.conversations} conversations, ${
+      firstPage.queries
+    } queries, ${(totalTime / ROUNDS).toFixed(1)} ms on average`
+  );
+
+  let pages = 0;
+  let conversations = 0;
+  let queries = 0;
+  let time = 0;
+  let cursor;
+  do {
+    const page = await measurePage(userId, cursor);
+
+    pages += 1;
+    conversations += page.conversations;
+    queries += page.queries;
+    time += page.time;
+    cursor = page.nextCursor;
+  } while (!!cursor);
+
+  console.log(
+    `All pages: ${pages} pages, ${conversations} conversations, ${queries} queries (${(
+      queries / pages
+    ).toFixed(1)} per page), ${time.toFixed(1)} ms`
+  );
+
+  // The Redis clients and the socket server are opened by the service, so exit explicitly
+  process.exit(0);
+})();
@@ -0,0 +1,18 @@
+/**
+ * Migrates an existing database to the current models: adds the missing columns and numbers the messages saved
+ * before the sequence numbers were introduced. The server also runs the migration when it starts.
+ *
+ * Usage: npm run migrate
+ *
+ * @module migrate.js
+ */
+import db from '../api/models/index.js';
+import { migrate } from '../api/helpers/Migration.helper.js';
+
+(async function main() {
+  await migrate();
+
+  console.log('The database is migrated.');
+
+  await db.sequelize.close();
+})();
@@ -0,0 +1,152 @@
+/**
+ * Seeds the database with a user that has many conversations, to benchmark the conversation list.
+ *
+ * The number of conversations and of messages per conversation can be set with the SEED_CONVERSATIONS (defaults to 500)
+ * and SEED_MESSAGES (defaults to 50) environment variables. Every tenth conversation is a group of four members.
+ * The ID of the seeded user is printed at the end, to be passed to the benchmark script.
+ *
+ * Usage: npm run seed:conversations
+ *
+ * @module seed-conversations.js
+ */
+import { randomUUID } from 'crypto';
+import db from '../api/models/index.js';
+import { migrate } from '../api/helpers/Migration.helper.js';
+
+const CONVERSATIONS = parseInt(process.env.SEED_CONVERSATIONS) || 500;
+const MESSAGES = parseInt(process.env.SEED_MESSAGES) || 50;
+
+// The number of rows inserted at once
+const CHUNK_SIZE = 5000;
+
+// The last messages of each conversation are left unseen by the seeded user
+const UNSEEN_MESSAGES = 5;
+
+/**
+ * Inserts the rows in chunks, skipping the model hooks.
+ *
+ * @param {object} model - The Sequelize model to insert the rows of.
+ * @param {Array<object>} rows - The rows to insert.
+ * @returns {Promise<void>}
+ */
+const insertInChunks = async (model, rows) => {
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    await model.bulkCreate(rows.slice(i, i + CHUNK_SIZE), {
+      hooks: false,
+      logging: false
+    });
+  }
+};
+
+(async function main() {
+  await migrate();
+  await db.sequelize.sync({ logging: false });
+
+  const seedId = Date.now();
+  const userId = randomUUID();
+  const users = [
+    {
+      userId,
+      username: `benchmark_${seedId}`,
+      email: `benchmark_${seedId}@example.com`,
+      isVerified: true
+    }
+  ];
+
+  const conversations = [];
+  const members = [];
+  const messages = [];
+  const statuses = [];
+
+  // The conversations start a minute apart, and their messages are sent a second apart
+  const start = Date.now() - (CONVERSATIONS + 1) * 60 * 1000;
+
+  for (let i = 0; i < CONVERSATIONS; i++) {
+    const conversationId = randomUUID();
+    const createdAt = new Date(start + i * 60 * 1000);
+    const isGroup = i % 10 === 0;
+
+    const otherUserIds = Array.from({ length: isGroup ? 3 : 1 }, (_, j) => {
+      const otherUserId = randomUUID();
+      users.push({
+        userId: otherUserId,
+        username: `benchmark_${seedId}_${i}_${j}`,
+        email: `benchmark_${seedId}_${i}_${j}@example.com`,
+        isVerified: true
+      });
+      return otherUserId;
+    });
+    const memberIds = [userId, ...otherUserIds];
+
+    memberIds.forEach((memberId) =>
+      members.push({
+        userId: memberId,
+        conversationId,
+        joinedAt: createdAt,
+        isAdmin: isGroup && memberId === userId
+      })
+    );
+
+    // The read state of the seeded user matches the messages left unseen
+    const seededMember = members[members.length - memberIds.length];
+    seededMember.unreadCount = 0;
+    seededMember.lastReadMessageId = null;
+
+    let sentAt = createdAt;
+    for (let sequence = 1; sequence <= MESSAGES; sequence++) {
+      const messageId = randomUUID();
+      const senderId = memberIds[sequence % memberIds.length];
+      sentAt = new Date(createdAt.getTime() + sequence * 1000);
+
+      messages.push({
+        messageId,
+        conversationId,
+        senderId,
+        content: `Message ${sequence} of conversation ${i}`,
+        sequence,
+        sentAt,
+        updatedAt: sentAt
+      });
+
+      memberIds
+        .filter((memberId) => memberId !== senderId)
+        .forEach((memberId) =>
+          statuses.push({
+            userId: memberId,
+            messageId,
+            deliverAt: sentAt,
+            seenAt:
+              memberId === userId && sequence > MESSAGES - UNSEEN_MESSAGES
+                ? null
+                : sentAt
+          })
+        );
+
+      if (sequence <= MESSAGES - UNSEEN_MESSAGES)
+        seededMember.lastReadMessageId = messageId;
+      else if (senderId !== userId) seededMember.unreadCount += 1;
+    }
+
+    conversations.push({
+      conversationId,
+      name: isGroup ? `Benchmark group ${i}` : null,
+      isGroup,
+      createdBy: userId,
+      createdAt,
+      lastMessageAt: MESSAGES > 0 ? sentAt : null,
+      lastSequence: MESSAGES
+    });
+  }
+
+  await insertInChunks(db.User, users);
+  await insertInChunks(db.Conversation, conversations);
+  await insertInChunks(db.Member, members);
+  await insertInChunks(db.Message, messages);
+  await insertInChunks(db.MessageStatus, statuses);
+
+  console.log(
+    `Seeded ${conversations.length} conversations and ${messages.length} messages for the user ID: ${userId}`
+  );
+
+  await db.sequelize.close();
+})();
@@ -1,5 +1,6 @@
 // Importing the Sequelize instnace
 import db from './api/models/index.js';
+import { migrate } from './api/helpers/Migration.helper.js';
 
 import { server } from './app.js';
 
@@ -7,11 +8,13 @@ import { server } from './app.js';
 const port = process.env.PORT || 5000;
 
 /**
- * Synchronize the Sequelize database tables with the models and start the server.
+ * Migrate the existing tables, synchronize the Sequelize database tables with the models and start the server.
  *
  * @function main
  */
 (async function main() {
+  // The missing columns are added before sync() creates the indexes on them
+  await migrate();
   await db.sequelize.sync({ logging: false });
 
   // users test
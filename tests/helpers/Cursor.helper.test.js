@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  decodeCursor,
+  encodeCursor
+} from '../../src/api/helpers/Cursor.helper.js';
+
+describe('Cursor helper', () => {
+  it('decodes the position encoded in a cursor', () => {
+    const date = new Date('2024-01-02T03:04:05.678Z');
+    const cursor = encodeCursor(date, 'message-1');
+
+    assert.deepEqual(decodeCursor(cursor), {
+      date: '2024-01-02T03:04:05.678Z',
+      id: 'message-1'
+    });
+  });
+
+  it('encodes the dates given as strings or timestamps the same way', () => {
+    const date = new Date('2024-01-02T03:04:05.678Z');
+
+    assert.equal(
+      encodeCursor(date.toISOString(), 'id'),
+      encodeCursor(date, 'id')
+    );
+    assert.equal(encodeCursor(date.getTime(), 'id'), encodeCursor(date, 'id'));
+  });
+
+  it('encodes an opaque cursor that can be sent in a URL', () => {
+    const cursor = encodeCursor(new Date(), 'a/b+c=?');
+
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  });
+
+  it('returns null for a missing cursor', () => {
+    assert.equal(decodeCursor(undefined), null);
+    assert.equal(decodeCursor(''), null);
+  });
+
+  it('returns null for an invalid cursor', () => {
+    const encode = (value) =>
+      Buffer.from(JSON.stringify(value)).toString('base64url');
+
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(encode(['not a date', 'id'])), null);
+    assert.equal(decodeCursor(encode([new Date().toISOString(), 42])), null);
+    assert.equal(decodeCursor(encode({ date: 'x' })), null);
+  });
+});
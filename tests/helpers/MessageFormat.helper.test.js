@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  formatReactions,
+  formatReplySnippet
+} from '../../src/api/helpers/MessageFormat.helper.js';
+
+const sender = {
+  userId: 'user-1',
+  username: 'amr',
+  image: 'image.png',
+  deletedAt: null
+};
+
+describe('formatReplySnippet', () => {
+  it('returns null if the message is not a reply', () => {
+    assert.equal(formatReplySnippet(null), null);
+    assert.equal(formatReplySnippet(undefined), null);
+  });
+
+  it('formats the quoted message with the profile of its sender', () => {
+    assert.deepEqual(
+      formatReplySnippet({
+        messageId: 'message-1',
+        content: 'Hello',
+        fileUrl: null,
+        deletedAt: null,
+        sender
+      }),
+      {
+        messageId: 'message-1',
+        sender: { userId: 'user-1', username: 'amr', deletedAt: null },
+        content: 'Hello',
+        hasFile: false,
+        isDeleted: false
+      }
+    );
+  });
+
+  it('reads the values of Sequelize instances', () => {
+    const snippet = formatReplySnippet({
+      dataValues: { messageId: 'message-1', content: 'Hello', sender }
+    });
+
+    assert.equal(snippet.messageId, 'message-1');
+    assert.equal(snippet.content, 'Hello');
+  });
+
+  it('cuts a long content down to a preview', () => {
+    const { content } = formatReplySnippet({
+      messageId: 'message-1',
+      content: 'a'.repeat(150),
+      sender
+    });
+
+    assert.equal(content, 'a'.repeat(100) + '…');
+  });
+
+  it('does not send the content and file of a deleted message', () => {
+    assert.deepEqual(
+      formatReplySnippet({
+        messageId: 'message-1',
+        content: 'Secret',
+        fileUrl: 'https://files/secret.png',
+        deletedAt: new Date(),
+        sender
+      }),
+      {
+        messageId: 'message-1',
+        sender: { userId: 'user-1', username: 'amr', deletedAt: null },
+        content: null,
+        hasFile: false,
+        isDeleted: true
+      }
+    );
+  });
+
+  it('formats a message without sender', () => {
+    assert.equal(
+      formatReplySnippet({ messageId: 'message-1', content: 'Hi' }).sender,
+      null
+    );
+  });
+});
+
+describe('formatReactions', () => {
+  it('returns no reactions for a message without reactions', () => {
+    assert.deepEqual(formatReactions(undefined, 'user-1'), []);
+    assert.deepEqual(formatReactions([], 'user-1'), []);
+  });
+
+  it('counts the reactions by emoji in the order each emoji was first found', () => {
+    assert.deepEqual(
+      formatReactions(
+        [
+          { emoji: '👍', userId: 'user-2' },
+          { dataValues: { emoji: '❤️', userId: 'user-1' } },
+          { emoji: '👍', userId: 'user-3' }
+        ],
+        'user-1'
+      ),
+      [
+        { emoji: '👍', count: 2, reactedByMe: false },
+        { emoji: '❤️', count: 1, reactedByMe: true }
+      ]
+    );
+  });
+});
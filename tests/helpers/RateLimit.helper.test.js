@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  findExceededEvent,
+  getLimitedEvents,
+  getSocketRateScope,
+  socketEventLimits
+} from '../../src/api/helpers/RateLimit.helper.js';
+
+describe('getLimitedEvents', () => {
+  it('counts an event against its own limit', () => {
+    assert.deepEqual(getLimitedEvents('edit_message', {}), ['edit_message']);
+    assert.deepEqual(getLimitedEvents('send_message', { content: 'Hi' }), [
+      'send_message'
+    ]);
+  });
+
+  it('also counts the messages with a file against the file limit', () => {
+    assert.deepEqual(getLimitedEvents('send_message', { file: {} }), [
+      'send_message',
+      'send_file'
+    ]);
+  });
+
+  it('handles the events sent without data', () => {
+    assert.deepEqual(getLimitedEvents('send_message', undefined), [
+      'send_message'
+    ]);
+  });
+});
+
+describe('getSocketRateScope', () => {
+  const rooms = new Set(['user-1', 'conversation-1']);
+
+  it('counts the events separately for a conversation the socket joined', () => {
+    assert.equal(
+      getSocketRateScope({ conversationId: 'conversation-1' }, rooms),
+      ':conversation-1'
+    );
+  });
+
+  it('falls back to the limit of the user for the other conversations', () => {
+    assert.equal(
+      getSocketRateScope({ conversationId: 'conversation-2' }, rooms),
+      ''
+    );
+  });
+
+  it('falls back to the limit of the user for the events without conversation', () => {
+    assert.equal(getSocketRateScope({}, rooms), '');
+    assert.equal(getSocketRateScope(undefined, rooms), '');
+    assert.equal(getSocketRateScope({ conversationId: ['user-1'] }, rooms), '');
+  });
+});
+
+describe('findExceededEvent', () => {
+  const { count: messageCount } = socketEventLimits.send_message;
+  const { count: fileCount } = socketEventLimits.send_file;
+
+  it('allows the events up to their limit', () => {
+    assert.equal(findExceededEvent(['send_message'], [1]), undefined);
+    assert.equal(
+      findExceededEvent(['send_message'], [messageCount]),
+      undefined
+    );
+  });
+
+  it('refuses the events over their limit', () => {
+    assert.equal(
+      findExceededEvent(['send_message'], [messageCount + 1]),
+      'send_message'
+    );
+  });
+
+  it('returns the first exceeded limit of the event', () => {
+    assert.equal(
+      findExceededEvent(['send_message', 'send_file'], [1, fileCount + 1]),
+      'send_file'
+    );
+    assert.equal(
+      findExceededEvent(
+        ['send_message', 'send_file'],
+        [messageCount + 1, fileCount + 1]
+      ),
+      'send_message'
+    );
+  });
+
+  it('shares the limit of the events with the same name', () => {
+    assert.equal(
+      socketEventLimits.pin_message.name,
+      socketEventLimits.unpin_message.name
+    );
+    assert.equal(
+      socketEventLimits.typing_start.name,
+      socketEventLimits.typing_stop.name
+    );
+  });
+});
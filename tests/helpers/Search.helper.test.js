@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Sequelize } from 'sequelize';
+
+import {
+  SEARCH_CONFIG,
+  headlineSql,
+  searchQuerySql
+} from '../../src/api/helpers/Search.helper.js';
+
+// Only used to escape the values, no connection is made
+const sequelize = new Sequelize({ dialect: 'postgres' });
+
+describe('Search helper', () => {
+  it('parses the terms with the web search syntax', () => {
+    assert.equal(
+      searchQuerySql(sequelize, '"hello world" or -bye'),
+      `websearch_to_tsquery('${SEARCH_CONFIG}', '"hello world" or -bye')`
+    );
+  });
+
+  it('escapes the terms', () => {
+    assert.equal(
+      searchQuerySql(sequelize, "it's'); DROP TABLE messages; --"),
+      `websearch_to_tsquery('${SEARCH_CONFIG}', 'it''s''); DROP TABLE messages; --')`
+    );
+  });
+
+  it('highlights the matches of the HTML escaped text', () => {
+    const sql = headlineSql(sequelize, 'm."content"', 'query');
+
+    assert.ok(sql.startsWith(`ts_headline('${SEARCH_CONFIG}', `));
+    assert.ok(
+      sql.includes(
+        `replace(replace(replace(m."content", '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`
+      )
+    );
+    assert.ok(sql.includes(', query, '));
+    assert.ok(sql.includes('StartSel=<mark>, StopSel=</mark>'));
+  });
+});